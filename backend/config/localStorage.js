@@ -6,6 +6,10 @@ class LocalStorage {
         this.dataDir = path.join(__dirname, '..', 'data');
         this.reportsFile = path.join(this.dataDir, 'reports.json');
         this.resultsFile = path.join(this.dataDir, 'results.json');
+        this.extractionsDir = path.join(this.dataDir, 'extractions');
+        this.exportsDir = path.join(this.dataDir, 'exports');
+        this.entitiesDir = path.join(this.dataDir, 'entities');
+        this.locks = new Map();
         this.initializeStorage();
     }
 
@@ -44,19 +48,40 @@ class LocalStorage {
 
     async writeFile(filePath, data) {
         try {
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+            // Write to a temp file and rename, so readers never see a partial file
+            const tmpFile = `${filePath}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+            await fs.rename(tmpFile, filePath);
         } catch (error) {
             console.error(`Error writing file ${filePath}:`, error);
         }
     }
 
+    // Run a read-modify-write of `filePath` after the previous one has finished,
+    // so concurrent pipeline stages cannot overwrite each other's changes
+    withFileLock(filePath, operation) {
+        const previous = this.locks.get(filePath) || Promise.resolve();
+        const run = previous.then(operation, operation);
+        this.locks.set(filePath, run.catch(() => {}));
+        return run;
+    }
+
+    // Time-based ID that is unique within `records`
+    nextId(records) {
+        let id = Date.now();
+        while (records.some(record => record.id === id.toString())) id++;
+        return id.toString();
+    }
+
     async saveReport(report) {
-        const reports = await this.readFile(this.reportsFile);
-        const id = Date.now().toString();
-        const newReport = { ...report, id, createdAt: new Date().toISOString() };
-        reports.push(newReport);
-        await this.writeFile(this.reportsFile, reports);
-        return newReport;
+        return this.withFileLock(this.reportsFile, async () => {
+            const reports = await this.readFile(this.reportsFile);
+            const id = this.nextId(reports);
+            const newReport = { ...report, id, createdAt: new Date().toISOString() };
+            reports.push(newReport);
+            await this.writeFile(this.reportsFile, reports);
+            return newReport;
+        });
     }
 
     async getReport(id) {
@@ -69,12 +94,38 @@ class LocalStorage {
     }
 
     async saveResult(result) {
-        const results = await this.readFile(this.resultsFile);
-        const id = Date.now().toString();
-        const newResult = { ...result, id, createdAt: new Date().toISOString() };
-        results.push(newResult);
-        await this.writeFile(this.resultsFile, results);
-        return newResult;
+        return this.withFileLock(this.resultsFile, async () => {
+            const results = await this.readFile(this.resultsFile);
+            const id = this.nextId(results);
+            const newResult = { ...result, id, createdAt: new Date().toISOString() };
+            results.push(newResult);
+            await this.writeFile(this.resultsFile, results);
+            return newResult;
+        });
+    }
+
+    // Save the result of one pipeline run (FinNI or FinCL) of a report. Every
+    // run gets its own numbered result; saving again for the same job and task
+    // (a retried or recovered stage) replaces that run's result instead of
+    // adding a near-duplicate.
+    async saveRunResult(result) {
+        return this.withFileLock(this.resultsFile, async () => {
+            const results = await this.readFile(this.resultsFile);
+            const runs = results.filter(r => r.reportId === result.reportId && r.taskType === result.taskType);
+            const index = results.findIndex(r => r.jobId && r.jobId === result.jobId && r.taskType === result.taskType);
+
+            let saved;
+            if (index !== -1) {
+                const previous = results[index];
+                saved = { ...result, id: previous.id, runNumber: previous.runNumber, createdAt: previous.createdAt, updatedAt: new Date().toISOString() };
+                results[index] = saved;
+            } else {
+                saved = { ...result, id: this.nextId(results), runNumber: runs.length + 1, createdAt: new Date().toISOString() };
+                results.push(saved);
+            }
+            await this.writeFile(this.resultsFile, results);
+            return saved;
+        });
     }
 
     async getResult(id) {
@@ -87,16 +138,84 @@ class LocalStorage {
         return results.filter(result => result.reportId === reportId);
     }
 
-    async updateReportStatus(reportId, status) {
-        const reports = await this.readFile(this.reportsFile);
-        const index = reports.findIndex(report => report.id === reportId);
-        if (index !== -1) {
-            reports[index].status = status;
-            reports[index].updatedAt = new Date().toISOString();
-            await this.writeFile(this.reportsFile, reports);
-            return reports[index];
+    // Most recent result of a task (FinNI, FinCL) for a report
+    async getLatestResult(reportId, taskType) {
+        const results = await this.getResultsByReportId(reportId);
+        const runs = results.filter(result => result.taskType === taskType);
+        return runs.length > 0 ? runs[runs.length - 1] : null;
+    }
+
+    // Artifacts stored one JSON file per report (or result) in a sub-directory of data/
+    async writeArtifact(dir, id, data) {
+        await fs.mkdir(dir, { recursive: true });
+        await this.writeFile(path.join(dir, `${id}.json`), data);
+    }
+
+    async readArtifact(dir, id) {
+        try {
+            const data = await fs.readFile(path.join(dir, `${id}.json`), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${path.basename(dir)} ${id}:`, error);
+            }
+            return null;
         }
-        return null;
+    }
+
+    // Extracted text, tables and layout of a report, kept between pipeline stages
+    async saveExtraction(reportId, extraction) {
+        await this.writeArtifact(this.extractionsDir, reportId, extraction);
+    }
+
+    async getExtraction(reportId) {
+        return await this.readArtifact(this.extractionsDir, reportId);
+    }
+
+    // Full FinNI entities of a FinNI result (descriptions, periods, units),
+    // kept so FinCL can be re-run on them
+    async saveEntities(finniResultId, entities) {
+        await this.writeArtifact(this.entitiesDir, finniResultId, entities);
+    }
+
+    async getEntities(finniResultId) {
+        return await this.readArtifact(this.entitiesDir, finniResultId);
+    }
+
+    // Final tagged-facts export of a report
+    async saveExport(reportId, exportData) {
+        await this.writeArtifact(this.exportsDir, reportId, exportData);
+    }
+
+    async getExport(reportId) {
+        return await this.readArtifact(this.exportsDir, reportId);
+    }
+
+    async updateReport(reportId, updates) {
+        return this.withFileLock(this.reportsFile, async () => {
+            const reports = await this.readFile(this.reportsFile);
+            const index = reports.findIndex(report => report.id === reportId);
+            if (index !== -1) {
+                reports[index] = { ...reports[index], ...updates, updatedAt: new Date().toISOString() };
+                await this.writeFile(this.reportsFile, reports);
+                return reports[index];
+            }
+            return null;
+        });
+    }
+
+    async updateReportStatus(reportId, status) {
+        return this.withFileLock(this.reportsFile, async () => {
+            const reports = await this.readFile(this.reportsFile);
+            const index = reports.findIndex(report => report.id === reportId);
+            if (index !== -1) {
+                reports[index].status = status;
+                reports[index].updatedAt = new Date().toISOString();
+                await this.writeFile(this.reportsFile, reports);
+                return reports[index];
+            }
+            return null;
+        });
     }
 }
 
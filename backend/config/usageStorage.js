@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Ledger of LLM calls and their token counts and cost, one JSON record per
+// line in data/usage.jsonl. Records are only ever appended, so a crash loses
+// at most the line being written.
+class UsageStorage {
+    constructor() {
+        this.dataDir = path.join(__dirname, '../data');
+        this.usageFile = path.join(this.dataDir, 'usage.jsonl');
+        this.records = [];
+        this.appending = Promise.resolve();
+        this.loading = null;
+    }
+
+    init() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                await fs.mkdir(this.dataDir, { recursive: true });
+                try {
+                    const data = await fs.readFile(this.usageFile, 'utf8');
+                    data.split('\n').filter(line => line.trim()).forEach(line => {
+                        try {
+                            this.records.push(JSON.parse(line));
+                        } catch {
+                            console.error('Skipping unreadable usage record:', line.slice(0, 100));
+                        }
+                    });
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+                console.log(`Loaded ${this.records.length} usage records`);
+            })();
+        }
+        return this.loading;
+    }
+
+    async addRecord(recordData) {
+        await this.init();
+        const record = {
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            ...recordData,
+            createdAt: new Date().toISOString()
+        };
+        this.records.push(record);
+
+        // Appends are serialized so lines never interleave
+        this.appending = this.appending.then(() =>
+            fs.appendFile(this.usageFile, `${JSON.stringify(record)}\n`, 'utf8')
+        ).catch(error => {
+            console.error('Error writing usage record:', error);
+        });
+        await this.appending;
+        return record;
+    }
+
+    // Records matching { userId, reportId, from, to } (dates inclusive)
+    async getRecords({ userId, reportId, from, to } = {}) {
+        await this.init();
+        return this.records.filter(record =>
+            (userId === undefined || record.userId === userId) &&
+            (reportId === undefined || record.reportId === reportId) &&
+            (!from || new Date(record.createdAt) >= from) &&
+            (!to || new Date(record.createdAt) <= to)
+        );
+    }
+}
+
+module.exports = new UsageStorage();
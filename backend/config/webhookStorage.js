@@ -0,0 +1,128 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Registered webhooks and their delivery log, kept in data/webhooks.json and
+// data/webhookDeliveries.json
+class WebhookStorage {
+    constructor() {
+        this.dataDir = path.join(__dirname, '../data');
+        this.webhooksFile = path.join(this.dataDir, 'webhooks.json');
+        this.deliveriesFile = path.join(this.dataDir, 'webhookDeliveries.json');
+        this.webhooks = new Map();
+        this.deliveries = new Map();
+        this.saving = Promise.resolve();
+        this.initialized = false;
+    }
+
+    // Finished deliveries kept in the log; pending ones are never dropped
+    get logLimit() {
+        return parseInt(process.env.WEBHOOK_LOG_LIMIT, 10) || 1000;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await this.load(this.webhooksFile, this.webhooks, 'webhooks.json');
+        await this.load(this.deliveriesFile, this.deliveries, 'webhookDeliveries.json');
+        console.log(`Loaded ${this.webhooks.size} webhooks`);
+
+        this.initialized = true;
+    }
+
+    async load(filePath, map, label) {
+        try {
+            const data = await fs.readFile(filePath, 'utf8');
+            JSON.parse(data).forEach(item => map.set(item.id, item));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.writeFile(filePath, '[]', 'utf8');
+            console.log(`Created ${label} file`);
+        }
+    }
+
+    save(filePath, map) {
+        // Writes are serialized and atomic (temp file + rename)
+        this.saving = this.saving.then(async () => {
+            const tmpFile = `${filePath}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(Array.from(map.values()), null, 2), 'utf8');
+            await fs.rename(tmpFile, filePath);
+        }).catch(error => {
+            console.error(`Error saving ${path.basename(filePath)}:`, error);
+        });
+        return this.saving;
+    }
+
+    newId() {
+        return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    }
+
+    // Webhook operations
+    async createWebhook(webhookData) {
+        const now = new Date().toISOString();
+        const webhook = { ...webhookData, id: this.newId(), active: true, createdAt: now, updatedAt: now };
+        this.webhooks.set(webhook.id, webhook);
+        await this.save(this.webhooksFile, this.webhooks);
+        return webhook;
+    }
+
+    async getWebhook(id) {
+        return this.webhooks.get(id) || null;
+    }
+
+    async getWebhooksByUserId(userId) {
+        return Array.from(this.webhooks.values()).filter(webhook => webhook.userId === userId);
+    }
+
+    async deleteWebhook(id) {
+        const deleted = this.webhooks.delete(id);
+        if (deleted) await this.save(this.webhooksFile, this.webhooks);
+        return deleted;
+    }
+
+    // Delivery operations
+    async createDelivery(deliveryData) {
+        const now = new Date().toISOString();
+        const delivery = { ...deliveryData, id: this.newId(), createdAt: now, updatedAt: now };
+        this.deliveries.set(delivery.id, delivery);
+        this.trimDeliveries();
+        await this.save(this.deliveriesFile, this.deliveries);
+        return delivery;
+    }
+
+    async updateDelivery(id, updates) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) return null;
+
+        Object.assign(delivery, updates, { updatedAt: new Date().toISOString() });
+        await this.save(this.deliveriesFile, this.deliveries);
+        return delivery;
+    }
+
+    async getDelivery(id) {
+        return this.deliveries.get(id) || null;
+    }
+
+    // Newest first
+    async getDeliveriesByWebhookId(webhookId) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => delivery.webhookId === webhookId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async getPendingDeliveries() {
+        return Array.from(this.deliveries.values()).filter(delivery => delivery.status === 'pending');
+    }
+
+    // Drop the oldest finished deliveries beyond the log limit
+    trimDeliveries() {
+        const finished = Array.from(this.deliveries.values())
+            .filter(delivery => delivery.status !== 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        finished.slice(0, Math.max(0, finished.length - this.logLimit))
+            .forEach(delivery => this.deliveries.delete(delivery.id));
+    }
+}
+
+const webhookStorage = new WebhookStorage();
+module.exports = webhookStorage;
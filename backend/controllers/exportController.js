@@ -0,0 +1,62 @@
+const localStorage = require('../config/localStorage');
+
+// Pipeline stage: assemble the tagged facts of a report into its export
+const exportReport = async (reportId, { finniResultId, finclResultId }) => {
+    const report = await localStorage.getReport(reportId);
+    if (!report) {
+        throw new Error(`Report ${reportId} not found`);
+    }
+
+    const finclResult = finclResultId ? await localStorage.getResult(finclResultId) : null;
+    if (!finclResult) {
+        throw new Error(`FinCL result not found for report ${reportId}`);
+    }
+
+    const exportData = {
+        reportId,
+        fileName: report.fileName,
+        metadata: report.metadata,
+        finniResultId,
+        finclResultId,
+        generatedAt: new Date().toISOString(),
+        // Facts refer to these by contextId
+        contexts: finclResult.contexts || [],
+        facts: finclResult.results.predictions
+    };
+
+    await localStorage.saveExport(reportId, exportData);
+    console.log(`Export generated for report ${reportId} with ${exportData.facts.length} facts`);
+
+    return { exportedAt: exportData.generatedAt };
+};
+
+const getReportExport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const exportData = await localStorage.getExport(reportId);
+        if (!exportData) {
+            return res.status(404).json({
+                success: false,
+                message: 'Export not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: exportData
+        });
+    } catch (error) {
+        console.error('Error retrieving export:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving export',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    exportReport,
+    getReportExport
+};
@@ -1,192 +1,270 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const localStorage = require('../config/localStorage');
+const { LOCAL_PROVIDER, RULE_BASED_MODEL, parseRunOptions, resolveRunOptions } = require('../utils/jobs/runOptions');
+const { getContextWindow } = require('../utils/ai/providerRegistry');
+const { InvalidAnswerError, generateStructured, countDropReasons } = require('../utils/ai/structuredOutput');
+const { finclMappingSchema } = require('../utils/ai/schemas');
+const { createUsageTracker } = require('../utils/ai/usage');
+const { renderPrompt, promptChecksum } = require('../utils/ai/prompts');
+const { contextIdFor, collectContexts } = require('../utils/entities/contexts');
+const { dimensionsFor } = require('../utils/entities/dimensions');
+const { conceptItemType, isCompatibleItemType } = require('../utils/entities/itemTypes');
+const responseCache = require('../utils/ai/responseCache');
+const { FixtureMissError } = require('../utils/ai/fixtures');
 
 // Helper function to load US-GAAP taxonomy
-const loadTaxonomy = async () => {
+const loadTaxonomy = async (name = 'us-gaap') => {
     // TODO: In production, this should load from a proper XBRL taxonomy file or database
+    if (name !== 'us-gaap') {
+        throw new Error(`Taxonomy ${name} is not available`);
+    }
     return {
         concepts: {
             'Revenue': {
                 id: 'us-gaap:Revenue',
                 definition: 'Amount of revenue recognized from goods sold, services rendered, insurance premiums, or other activities that constitute an earning process.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'duration'
             },
             'NetIncome': {
                 id: 'us-gaap:NetIncomeLoss',
                 definition: 'The portion of profit or loss for the period, net of income taxes, which is attributable to the parent.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'duration'
             },
             'Assets': {
                 id: 'us-gaap:Assets',
                 definition: 'Sum of the carrying amounts as of the balance sheet date of all assets.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'instant'
             },
             'Liabilities': {
                 id: 'us-gaap:Liabilities',
                 definition: 'Sum of the carrying amounts as of the balance sheet date of all liabilities.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'instant'
             },
             'EarningsPerShare': {
                 id: 'us-gaap:EarningsPerShareBasic',
                 definition: 'The amount of net income (loss) for the period per each share of common stock.',
                 type: 'perShare',
+                itemType: 'perShareItemType',
                 period: 'duration'
             },
             'SharesOutstanding': {
                 id: 'us-gaap:WeightedAverageNumberOfSharesOutstandingBasic',
                 definition: 'The weighted average number of shares outstanding during the period.',
                 type: 'shares',
+                itemType: 'sharesItemType',
                 period: 'duration'
             },
             'OperatingIncome': {
                 id: 'us-gaap:OperatingIncomeLoss',
                 definition: 'The net result for the period of deducting operating expenses from operating revenues.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'duration'
             },
             'GrossProfit': {
                 id: 'us-gaap:GrossProfit',
                 definition: 'Aggregate revenue less cost of goods and services sold or operating expenses directly attributable to the revenue generation activity.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'duration'
             },
             'CashAndCashEquivalents': {
                 id: 'us-gaap:CashAndCashEquivalentsAtCarryingValue',
                 definition: 'Amount of currency on hand as well as demand deposits with banks or financial institutions.',
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'instant'
             },
             'RetainedEarnings': {
                 id: 'us-gaap:RetainedEarningsAccumulatedDeficit',
                 definition: "The cumulative amount of the reporting entity's undistributed earnings or deficit.",
                 type: 'monetary',
+                itemType: 'monetaryItemType',
                 period: 'instant'
+            },
+            'DocumentPeriodEndDate': {
+                id: 'dei:DocumentPeriodEndDate',
+                definition: 'The end date of the period reflected on the cover page if a periodic report, such as the balance sheet date.',
+                type: 'date',
+                itemType: 'dateItemType',
+                period: 'duration'
+            },
+            'DebtInstrumentMaturityDate': {
+                id: 'us-gaap:DebtInstrumentMaturityDate',
+                definition: 'Date when the debt instrument is scheduled to be fully repaid, in YYYY-MM-DD format.',
+                type: 'date',
+                itemType: 'dateItemType',
+                period: 'duration'
             }
         }
     };
 };
 
-const linkConcepts = async (entities, taxonomy) => {
+// Whether a concept takes facts of the entity's item type (see utils/entities/itemTypes)
+const fitsItemType = (entity, xbrlTag, taxonomy) =>
+    isCompatibleItemType(entity.itemType, conceptItemType(xbrlTag.concept, taxonomy));
+
+// Map entities to taxonomy concepts with the run's LLM provider.
+// Returns { entities, provider, model, cache, validation } where provider/model
+// name the LLM that answered (null if every batch fell back to rules), cache
+// counts the batches answered from the response cache ({ hits, misses }) and
+// validation the mappings dropped for failing the schema
+// ({ repairPrompts, droppedItems, dropReasons }).
+const linkConcepts = async (entities, taxonomy, { onProgress = () => {}, signal, provider, model, promptVersion, bypassCache = false, usage } = {}) => {
     try {
         console.log('Debug: Linking concepts for', entities.length, 'entities');
-        
-        // Initialize Gemini here to ensure API key is loaded
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY environment variable is not set');
-        }
-        
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({ 
-            model: "models/gemini-2.5-flash",
-            generationConfig: {
-                temperature: 0.1,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 16384
-            }
-        });
+        let answeredBy = null;
+        const cacheStats = { hits: 0, misses: 0 };
+        const validation = { repairPrompts: 0, droppedItems: 0, dropReasons: [] };
 
         // Process ALL entities in batches
-        const BATCH_SIZE = 40; // Process 40 at a time
+        // 40 at a time, fewer when a small context window has to hold the
+        // prompt and the answer (about 80 tokens per entity for both)
+        const contextWindow = getContextWindow(provider);
+        const BATCH_SIZE = contextWindow
+            ? Math.max(5, Math.min(40, Math.floor((contextWindow - 1500) / 80)))
+            : 40;
         const allMappings = [];
+        const totalBatches = Math.ceil(entities.length / BATCH_SIZE);
+        onProgress(0, totalBatches);
         
         for (let batchStart = 0; batchStart < entities.length; batchStart += BATCH_SIZE) {
+            // A cancelled job stops sending batches
+            if (signal) signal.throwIfAborted();
             const batchEnd = Math.min(batchStart + BATCH_SIZE, entities.length);
             const batch = entities.slice(batchStart, batchEnd);
             
             console.log(`Debug: Processing batch ${Math.floor(batchStart / BATCH_SIZE) + 1}, entities ${batchStart}-${batchEnd - 1}`);
             
-            const prompt = `You are an expert in XBRL and US-GAAP taxonomy mapping. Map financial facts to US-GAAP concepts.
-
-Task: Map ${batch.length} financial entities to US-GAAP concepts.
-
-Entities:
-${JSON.stringify(batch.map((e, i) => ({
-    id: i,
-    value: e.value,
-    desc: e.description,
-    type: e.type
-})), null, 2)}
-
-US-GAAP Concepts Available:
-${JSON.stringify(Object.keys(taxonomy.concepts).slice(0, 50).map(key => ({
-    name: key,
-    id: taxonomy.concepts[key].id,
-    type: taxonomy.concepts[key].type
-})), null, 2)}
-
-CRITICAL: Provide mapping for ALL ${batch.length} entities (id 0 to ${batch.length - 1}). Keep explanations SHORT (max 10 words).
-
-Response format (JSON only):
-{
-    "mappings": [
-        {"entityId": 0, "xbrlTag": {"concept": "us-gaap:Revenue", "taxonomy": "us-gaap", "confidence": 0.95}, "explanation": "Service revenue"}
-    ]
-}`;
+            const prompt = renderPrompt(promptVersion, 'fincl', {
+                count: batch.length,
+                lastId: batch.length - 1,
+                entities: JSON.stringify(batch.map((e, i) => ({
+                    id: i,
+                    value: e.value,
+                    desc: e.description,
+                    type: e.type,
+                    // The part of a breakdown the fact is, e.g. "geography: Americas"
+                    ...(e.breakdown ? { breakdown: `${e.breakdown.kind}: ${e.breakdown.member}` } : {})
+                })), null, 2),
+                concepts: JSON.stringify(Object.keys(taxonomy.concepts).slice(0, 50).map(key => ({
+                    name: key,
+                    id: taxonomy.concepts[key].id,
+                    type: taxonomy.concepts[key].type
+                })), null, 2)
+            });
 
-            // Retry logic with exponential backoff
-            let result, responseText, parsed;
+            // Unusable or incomplete answers are asked for again; provider
+            // errors are not, as the rate limiter and the job queue retry
+            // those. Only validated answers are cached, so a failed batch is
+            // asked again on the next run.
             const MAX_RETRIES = 3;
-            
-            for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-                try {
-                    console.log(`Debug: FinCL API attempt ${attempt}/${MAX_RETRIES} for batch ${Math.floor(batchStart / BATCH_SIZE) + 1}`);
-                    
-                    result = await model.generateContent(prompt);
-                    const response = result.response;
-                    responseText = response.text();
-                    
-                    // Clean up response
-                    responseText = responseText.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-                    
-                    console.log('Debug: FinCL response length:', responseText.length);
-                    
-                    // Try to parse
-                    parsed = JSON.parse(responseText);
-                    
-                    // Validate we got mappings
-                    if (!parsed.mappings || parsed.mappings.length < batch.length * 0.7) {
-                        throw new Error(`Incomplete mappings: got ${parsed.mappings?.length || 0}, expected at least ${Math.floor(batch.length * 0.7)}`);
+            const mapBatch = async () => {
+                let lastError;
+                for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+                    try {
+                        console.log(`Debug: FinCL API attempt ${attempt}/${MAX_RETRIES} for batch ${Math.floor(batchStart / BATCH_SIZE) + 1}`);
+                        
+                        // Mappings failing the schema are sent back for repair, then dropped
+                        const response = await generateStructured({
+                            key: 'mappings',
+                            itemSchema: finclMappingSchema(batch.length),
+                            // A concept must take facts of the entity's item type
+                            checkItem: mapping => {
+                                const factType = batch[mapping.entityId].itemType;
+                                const conceptType = mapping.xbrlTag && conceptItemType(mapping.xbrlTag.concept, taxonomy);
+                                return isCompatibleItemType(factType, conceptType)
+                                    ? []
+                                    : [`xbrlTag.concept is a ${conceptType} concept but the entity is a ${factType} fact`];
+                            },
+                            provider,
+                            model,
+                            prompt,
+                            temperature: 0.1,
+                            maxOutputTokens: 16384,
+                            usage
+                        });
+                        
+                        // Validate we got mappings
+                        const answered = response.items.length + response.dropped.length;
+                        if (answered < batch.length * 0.7) {
+                            throw new InvalidAnswerError(`Incomplete mappings: got ${answered}, expected at least ${Math.floor(batch.length * 0.7)}`);
+                        }
+                        
+                        console.log(`Debug: ✓ ${response.items.length} valid mappings for batch, dropped ${response.dropped.length}`);
+                        return {
+                            mappings: response.items,
+                            dropped: response.dropped,
+                            repairs: response.repairs,
+                            provider: response.provider,
+                            model: response.model
+                        };
+                        
+                    } catch (error) {
+                        if (!(error instanceof InvalidAnswerError)) throw error;
+                        lastError = error;
+                        console.error(`Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} attempt ${attempt} failed:`, error.message);
                     }
-                    
-                    console.log(`Debug: ✓ Successfully parsed ${parsed.mappings.length} mappings for batch`);
-                    
-                    // Adjust entity IDs to account for batch offset
-                    const adjustedMappings = parsed.mappings.map(m => ({
-                        ...m,
-                        entityId: m.entityId + batchStart
-                    }));
-                    
-                    allMappings.push(...adjustedMappings);
-                    break; // Success!
-                    
-                } catch (error) {
-                    console.error(`Batch ${Math.floor(batchStart / BATCH_SIZE) + 1} attempt ${attempt} failed:`, error.message);
-                    
-                    if (attempt === MAX_RETRIES) {
-                        console.error('All retries exhausted for batch, using fallback for unmapped entities');
-                        // Don't throw, just continue with what we have
-                        break;
-                    }
-                    
-                    // Wait before retry (exponential backoff)
-                    const waitTime = Math.pow(2, attempt) * 1000;
-                    console.log(`Waiting ${waitTime}ms before retry...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
                 }
+                throw lastError;
+            };
+
+            try {
+                const { value, cached } = await responseCache.wrap(
+                    { provider, model, promptVersion, prompt },
+                    mapBatch,
+                    { bypass: bypassCache }
+                );
+                cached ? cacheStats.hits++ : cacheStats.misses++;
+                validation.repairPrompts += value.repairs;
+                
+                // A second mapping for the same entity is dropped
+                const seen = new Set();
+                const duplicates = [];
+                const mappings = value.mappings.filter(m => {
+                    if (!seen.has(m.entityId)) {
+                        seen.add(m.entityId);
+                        return true;
+                    }
+                    duplicates.push({ item: m, errors: ['entityId is mapped more than once'] });
+                    return false;
+                });
+                const dropped = [...value.dropped, ...duplicates];
+                validation.droppedItems += dropped.length;
+                countDropReasons(dropped, validation.dropReasons);
+                
+                // Adjust entity IDs to account for batch offset
+                const adjustedMappings = mappings.map(m => ({
+                    ...m,
+                    entityId: m.entityId + batchStart
+                }));
+                
+                allMappings.push(...adjustedMappings);
+                answeredBy = answeredBy || value;
+            } catch (error) {
+                // Replays must fail rather than fall back to rules on unrecorded calls
+                if (error instanceof FixtureMissError) throw error;
+                cacheStats.misses++;
+                console.error('LLM mapping failed for batch, using fallback for unmapped entities:', error.message);
+                // Don't throw, just continue with what we have
             }
+            onProgress(Math.floor(batchStart / BATCH_SIZE) + 1, totalBatches);
         }
 
         console.log('Debug: Successfully mapped', allMappings.length, 'entities to US-GAAP via AI');
 
-        // Apply the mappings to the original entities with enhanced fallback
-        return entities.map((entity, index) => {
+        // Apply the mappings to the original entities with enhanced fallback.
+        // Answers cached before item types were checked are checked again here.
+        const linkedEntities = entities.map((entity, index) => {
             const mapping = allMappings.find(m => m.entityId === index);
-            if (mapping && mapping.xbrlTag) {
+            if (mapping && mapping.xbrlTag && fitsItemType(entity, mapping.xbrlTag, taxonomy)) {
                 return {
                     ...entity,
                     xbrlTag: mapping.xbrlTag,
@@ -253,94 +331,215 @@ Response format (JSON only):
                 xbrlTag = { concept: 'us-gaap:Dividends', taxonomy: 'us-gaap', confidence: 0.6 };
             }
             
+            if (xbrlTag && !fitsItemType(entity, xbrlTag, taxonomy)) xbrlTag = null;
+
             return { 
                 ...entity, 
                 xbrlTag,
                 mappingExplanation: xbrlTag ? 'Rule-based mapping (fallback)' : 'No suitable US-GAAP mapping found'
             };
         });
+        return {
+            entities: linkedEntities,
+            provider: answeredBy ? answeredBy.provider : null,
+            model: answeredBy ? answeredBy.model : null,
+            cache: cacheStats,
+            validation
+        };
     } catch (error) {
         console.error('Error in FinCL AI processing:', error);
         throw error;
     }
 };
 
-const processFinCL = async (req, res) => {
-    try {
-        const { reportId, entities } = req.body;
+// Simple heuristic mapping based on description, used when AI mapping is
+// unavailable
+const ruleBasedMapping = (entities, taxonomy) => entities.map(entity => {
+    let xbrlTag = null;
+    const desc = (entity.description || '').toLowerCase();
+    
+    if (entity.type === 'date') {
+        if (desc.includes('maturity date')) {
+            xbrlTag = { concept: 'us-gaap:DebtInstrumentMaturityDate', taxonomy: 'us-gaap', confidence: 0.6 };
+        } else if (desc.includes('balance sheet date')) {
+            xbrlTag = { concept: 'dei:DocumentPeriodEndDate', taxonomy: 'dei', confidence: 0.6 };
+        }
+    } else if (desc.includes('revenue') || desc.includes('sales')) {
+        xbrlTag = { concept: 'us-gaap:Revenue', taxonomy: 'us-gaap', confidence: 0.7 };
+    } else if (desc.includes('net income') || desc.includes('net profit')) {
+        xbrlTag = { concept: 'us-gaap:NetIncomeLoss', taxonomy: 'us-gaap', confidence: 0.7 };
+    } else if (desc.includes('operating income')) {
+        xbrlTag = { concept: 'us-gaap:OperatingIncomeLoss', taxonomy: 'us-gaap', confidence: 0.7 };
+    } else if (desc.includes('assets') && desc.includes('total')) {
+        xbrlTag = { concept: 'us-gaap:Assets', taxonomy: 'us-gaap', confidence: 0.7 };
+    } else if (desc.includes('expense')) {
+        xbrlTag = { concept: 'us-gaap:OperatingExpenses', taxonomy: 'us-gaap', confidence: 0.6 };
+    }
+    if (xbrlTag && !fitsItemType(entity, xbrlTag, taxonomy)) xbrlTag = null;
+    
+    return { ...entity, xbrlTag };
+});
 
-        console.log('FinCL processing started for report:', reportId);
-        console.log('Received', entities.length, 'entities to map');
+// Pipeline stage: map FinNI entities to US-GAAP concepts and save the FinCL
+// result. `options` holds the run's overrides (see utils/jobs/runOptions).
+// Returns { finclResultId, resultData }.
+const runFinCL = async (reportId, entities, { onProgress, signal, jobId = null, finniResultId = null, options = {} } = {}) => {
+    console.log('FinCL processing started for report:', reportId);
+    console.log('Received', entities.length, 'entities to map');
 
-        // Load taxonomy
-        const taxonomy = await loadTaxonomy();
+    const runOptions = resolveRunOptions(options);
 
-        // Try to link concepts, with fallback
-        let linkedEntities;
-        try {
-            linkedEntities = await linkConcepts(entities, taxonomy);
-        } catch (linkError) {
-            console.error('Failed to link concepts via AI, using rule-based mapping:', linkError.message);
-            // Fallback: Use simple rule-based mapping
-            linkedEntities = entities.map(entity => {
-                // Simple heuristic mapping based on description
-                let xbrlTag = null;
-                const desc = (entity.description || '').toLowerCase();
-                
-                if (desc.includes('revenue') || desc.includes('sales')) {
-                    xbrlTag = { concept: 'us-gaap:Revenue', taxonomy: 'us-gaap', confidence: 0.7 };
-                } else if (desc.includes('net income') || desc.includes('net profit')) {
-                    xbrlTag = { concept: 'us-gaap:NetIncomeLoss', taxonomy: 'us-gaap', confidence: 0.7 };
-                } else if (desc.includes('operating income')) {
-                    xbrlTag = { concept: 'us-gaap:OperatingIncomeLoss', taxonomy: 'us-gaap', confidence: 0.7 };
-                } else if (desc.includes('assets') && desc.includes('total')) {
-                    xbrlTag = { concept: 'us-gaap:Assets', taxonomy: 'us-gaap', confidence: 0.7 };
-                } else if (desc.includes('expense')) {
-                    xbrlTag = { concept: 'us-gaap:OperatingExpenses', taxonomy: 'us-gaap', confidence: 0.6 };
-                }
-                
-                return { ...entity, xbrlTag };
+    // Tokens of every LLM call, charged to the report's owner
+    const report = reportId ? await localStorage.getReport(reportId) : null;
+    const usage = createUsageTracker({ userId: report && report.userId, reportId, jobId, stage: 'fincl' });
+
+    // Load taxonomy
+    const taxonomy = await loadTaxonomy(runOptions.taxonomy);
+
+    // Facts tagged in the source inline XBRL keep their concept
+    const isPreTagged = entity => entity.source === 'ixbrl' && entity.xbrlTag;
+    const preTaggedEntities = entities.filter(isPreTagged).map(entity => ({
+        ...entity,
+        mappingExplanation: 'Tagged in source inline XBRL'
+    }));
+    const untaggedEntities = entities.filter(entity => !isPreTagged(entity));
+
+    // Try to link concepts, with fallback. `answeredBy` records the provider
+    // and model that actually produced the mappings.
+    let linkedEntities;
+    let answeredBy = { provider: LOCAL_PROVIDER, model: null };
+    let cacheStats = { hits: 0, misses: 0 };
+    let validation = { repairPrompts: 0, droppedItems: 0, dropReasons: [] };
+    try {
+        if (runOptions.provider === LOCAL_PROVIDER) {
+            console.log('Debug: Local provider requested, using rule-based mapping');
+            linkedEntities = ruleBasedMapping(untaggedEntities, taxonomy);
+        } else if (untaggedEntities.length > 0) {
+            const linked = await linkConcepts(untaggedEntities, taxonomy, {
+                onProgress,
+                signal,
+                provider: runOptions.provider,
+                model: runOptions.model,
+                promptVersion: runOptions.promptVersion,
+                bypassCache: runOptions.noCache,
+                usage
             });
-            console.log('Rule-based mapping completed for', linkedEntities.filter(e => e.xbrlTag).length, 'entities');
+            linkedEntities = linked.entities;
+            cacheStats = linked.cache;
+            validation = linked.validation;
+            if (linked.provider) answeredBy = linked;
+        } else {
+            linkedEntities = [];
         }
+    } catch (linkError) {
+        if ((signal && signal.aborted) || linkError instanceof FixtureMissError) throw linkError;
+        console.error('Failed to link concepts via AI, using rule-based mapping:', linkError.message);
+        // Fallback: Use simple rule-based mapping
+        linkedEntities = ruleBasedMapping(untaggedEntities, taxonomy);
+        console.log('Rule-based mapping completed for', linkedEntities.filter(e => e.xbrlTag).length, 'entities');
+    }
+    linkedEntities = [...preTaggedEntities, ...linkedEntities];
 
-        // Format entities to include proper structure
-        const formattedEntities = linkedEntities.map(entity => ({
-            value: entity.value,
-            entityType: entity.type,
-            confidence: entity.confidence,
-            location: entity.location || {
-                pageNum: 1,
-                coordinates: null
-            },
-            xbrlTag: entity.xbrlTag,
-            mappingExplanation: entity.mappingExplanation
-        }));
+    // Facts of a breakdown take its axis and member, and a context of their
+    // own so they do not collide with the consolidated total
+    linkedEntities = linkedEntities.map(entity => {
+        const dimensions = entity.dimensions && entity.dimensions.length > 0
+            ? entity.dimensions
+            : dimensionsFor(entity.breakdown);
+        return {
+            ...entity,
+            dimensions,
+            contextId: entity.periodType ? contextIdFor(entity, dimensions) : entity.contextId
+        };
+    });
 
-        // Count how many were successfully mapped
-        const mappedCount = formattedEntities.filter(e => e.xbrlTag).length;
-        console.log(`Successfully mapped ${mappedCount} out of ${formattedEntities.length} entities to US-GAAP`);
+    // Format entities to include proper structure
+    const formattedEntities = linkedEntities.map(entity => ({
+        value: entity.value,
+        rawText: entity.rawText,
+        numericValue: entity.numericValue,
+        decimals: entity.decimals,
+        scale: entity.scale,
+        sign: entity.sign,
+        entityType: entity.type,
+        itemType: entity.itemType,
+        currency: entity.currency,
+        unitId: entity.unitId,
+        confidence: entity.confidence,
+        period: entity.period,
+        periodType: entity.periodType,
+        startDate: entity.startDate,
+        endDate: entity.endDate,
+        contextId: entity.contextId,
+        breakdown: entity.breakdown || null,
+        dimensions: entity.dimensions,
+        location: entity.location || {
+            pageNum: 1,
+            coordinates: null
+        },
+        xbrlTag: entity.xbrlTag,
+        mappingExplanation: entity.mappingExplanation
+    }));
 
-        const resultData = {
-            reportId: reportId,
-            modelName: 'Gemini 2.5 Flash',
-            taskType: 'FinCL',
-            results: {
-                predictions: formattedEntities,
-                metrics: {
-                    precision: mappedCount / formattedEntities.length,
-                    recall: mappedCount / formattedEntities.length,
-                    f1Score: mappedCount / formattedEntities.length,
-                    accuracy: mappedCount / formattedEntities.length
-                }
-            },
-            processingTime: 1500 // milliseconds
-        };
+    // Count how many were successfully mapped
+    const mappedCount = formattedEntities.filter(e => e.xbrlTag).length;
+    console.log(`Successfully mapped ${mappedCount} out of ${formattedEntities.length} entities to US-GAAP`);
+
+    const resultData = {
+        reportId: reportId,
+        jobId,
+        finniResultId,
+        provider: answeredBy.provider,
+        modelName: answeredBy.model || RULE_BASED_MODEL,
+        taskType: 'FinCL',
+        runOptions,
+        promptChecksum: promptChecksum(runOptions.promptVersion),
+        contexts: collectContexts(formattedEntities),
+        cache: cacheStats,
+        validation,
+        usage: usage.summary(),
+        results: {
+            predictions: formattedEntities,
+            metrics: {
+                precision: mappedCount / formattedEntities.length,
+                recall: mappedCount / formattedEntities.length,
+                f1Score: mappedCount / formattedEntities.length,
+                accuracy: mappedCount / formattedEntities.length
+            }
+        },
+        processingTime: 1500 // milliseconds
+    };
+
+    // Save FinCL result
+    if (signal) signal.throwIfAborted();
+    const savedResult = await localStorage.saveRunResult(resultData);
+
+    console.log('FinCL processing completed successfully');
 
-        // Save FinCL result
-        await localStorage.saveResult(resultData);
+    return { finclResultId: savedResult.id, resultData };
+};
+
+const processFinCL = async (req, res) => {
+    try {
+        const { reportId, entities } = req.body;
+
+        if (!Array.isArray(entities)) {
+            return res.status(400).json({
+                success: false,
+                message: 'entities must be an array'
+            });
+        }
+
+        // The body may pick the provider, model and taxonomy
+        const { options, error } = parseRunOptions(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
 
-        console.log('FinCL processing completed successfully');
+        const { resultData } = await runFinCL(reportId, entities, { options });
 
         res.status(200).json({
             success: true,
@@ -358,5 +557,6 @@ const processFinCL = async (req, res) => {
 };
 
 module.exports = {
+    runFinCL,
     processFinCL
 };
@@ -1,104 +1,154 @@
 const fs = require('fs').promises;
 const path = require('path');
 const localStorage = require('../config/localStorage');
+const jobQueue = require('../utils/jobs/jobQueue');
 const fetch = require('node-fetch');
 
 // document parsers
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
-
-// Import Google Generative AI SDK
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Function to make API calls to Gemini using the official SDK
-const callGeminiAPI = async (prompt, retries = 2) => {
-    if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY environment variable is not set');
-    }
-
-    console.log('Debug: API Key available:', process.env.GEMINI_API_KEY ? 'Yes' : 'No');
-    
+const { extractHtml } = require('../utils/documents/htmlExtractor');
+const { readPdfPages, detectPdfTables, pagesToText } = require('../utils/documents/pdfExtractor');
+const { tableToEntities } = require('../utils/documents/tables');
+const { createPdfLocator, createTextLocator } = require('../utils/documents/locator');
+const { chunkText } = require('../utils/documents/chunker');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { LOCAL_PROVIDER, RULE_BASED_MODEL, parseRunOptions, resolveRunOptions } = require('../utils/jobs/runOptions');
+const { getContextWindow } = require('../utils/ai/providerRegistry');
+const { InvalidAnswerError, generateStructured, countDropReasons } = require('../utils/ai/structuredOutput');
+const { FINNI_ENTITY_SCHEMA, NUMBER_PATTERN } = require('../utils/ai/schemas');
+const { createUsageTracker } = require('../utils/ai/usage');
+const { renderPrompt, promptChecksum } = require('../utils/ai/prompts');
+const { reconcileEntities, summarizeEnsemble } = require('../utils/entities/ensemble');
+const {
+    findScaleStatements,
+    scaleStatementAt,
+    rawTextAt,
+    normalizeEntity,
+    indexRawNumbers,
+    findRawNumber
+} = require('../utils/entities/normalize');
+const { assignContexts } = require('../utils/entities/contexts');
+const { findDates, blankDates, toIsoDate } = require('../utils/entities/dates');
+const { assignBreakdowns } = require('../utils/entities/dimensions');
+const {
+    DEFAULT_LOCALE,
+    resolveLocale,
+    detectLocale,
+    numberFormatFor,
+    numberPattern,
+    toCanonicalNumber,
+    canonicalValue
+} = require('../utils/entities/locales');
+const { classifyItemType } = require('../utils/entities/itemTypes');
+const {
+    CURRENCY_PATTERN,
+    isIsoCurrency,
+    detectReportingCurrency,
+    currencyOf,
+    unitIdFor,
+    unitIdFromMeasure
+} = require('../utils/entities/currencies');
+const responseCache = require('../utils/ai/responseCache');
+const { FixtureMissError } = require('../utils/ai/fixtures');
+
+// Whether an LLM value is a date in either order of numeric dates (the
+// document's order is applied when the value is normalized)
+const isDateValue = (value) => Boolean(toIsoDate(value, { dateOrder: 'mdy' }) || toIsoDate(value, { dateOrder: 'dmy' }));
+
+// Send a FinNI prompt to the run's LLM provider and return the entities that
+// passed schema validation, with those dropped and the provider and model that
+// answered: { entities, dropped, repairs, provider, model, cached }.
+// Validated answers are kept in the response cache unless bypassCache is set.
+const callLLM = async (prompt, retries = 2, { provider, model, promptVersion, bypassCache = false, usage } = {}) => {
     const makeApiCall = async () => {
-        console.log('Debug: Initializing Gemini API...');
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        const model = genAI.getGenerativeModel({ 
-            model: "models/gemini-2.5-flash",
-            generationConfig: {
-                temperature: 0.1,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 8192  // Increased to allow full response
-            }
-        });
-
         console.log('Debug: Attempting API call...');
-        // Ensure we have a valid prompt chunk (not too long for the model)
-        const maxChunkLength = 30000;
-        const promptChunk = prompt.length > maxChunkLength ? 
-            prompt.substring(0, maxChunkLength) + "..." : 
-            prompt;
-            
-        console.log('Debug: Prompt chunk length:', promptChunk.length);
-        
-        // Make the API call
-        const result = await model.generateContent(promptChunk);
-        
-        // Ensure we await the response properly
-        const response = await result.response;
-        let responseText = response.text();
-        
-        console.log('Debug: Raw API response received, length:', responseText.length);
-        console.log('Debug: Response text preview:', responseText.substring(0, 300));
-        
-        // Remove markdown code fences if present
-        responseText = responseText.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-        
-        // Check if response looks complete (should end with closing brace and bracket)
-        if (!responseText.endsWith('}') && !responseText.endsWith(']')) {
-            console.warn('Warning: Response may be incomplete');
-            console.log('Response ends with:', responseText.slice(-50));
-            throw new Error('Incomplete JSON response from API');
-        }
-        
-        console.log('Debug: Cleaned response length:', responseText.length);
-        
-        // Validate JSON structure
-        let parsed;
-        try {
-            parsed = JSON.parse(responseText);
-        } catch (parseError) {
-            console.error('JSON Parse Error:', parseError.message);
-            console.error('Response text:', responseText);
-            throw new Error(`Invalid JSON from API: ${parseError.message}`);
-        }
+        // Documents are chunked by identifyNumericEntities, so the prompt is sent whole
+        console.log('Debug: Prompt length:', prompt.length);
         
-        if (!parsed.entities || !Array.isArray(parsed.entities)) {
-            throw new Error('Invalid JSON structure - missing entities array');
-        }
+        // Make the API call through the provider registry (shared rate limits);
+        // invalid entities are sent back for repair before being dropped
+        const response = await generateStructured({
+            key: 'entities',
+            itemSchema: FINNI_ENTITY_SCHEMA,
+            // Values must be numbers (dates for date entities) and a
+            // currency code a real one
+            checkItem: entity => {
+                const errors = [];
+                if (entity.type === 'date') {
+                    if (!isDateValue(entity.value)) errors.push(`value ${entity.value} is not a date`);
+                } else if (!new RegExp(NUMBER_PATTERN).test(String(entity.value))) {
+                    errors.push(`value ${entity.value} is not a number`);
+                }
+                const code = String(entity.unit).match(/^[A-Z]{3}\b/);
+                if (entity.type === 'monetary' && code && !isIsoCurrency(code[0])) {
+                    errors.push(`unit ${code[0]} is not an ISO 4217 currency code`);
+                }
+                return errors;
+            },
+            provider,
+            model,
+            prompt,
+            temperature: 0.1,
+            maxOutputTokens: 8192,
+            usage
+        });
         
-        console.log('Debug: ✓ Successfully parsed JSON with', parsed.entities.length, 'entities');
-        return responseText;
+        console.log(`Debug: ✓ ${response.provider} (${response.model}) returned ${response.items.length} valid entities, dropped ${response.dropped.length}`);
+        return {
+            entities: response.items,
+            dropped: response.dropped,
+            repairs: response.repairs,
+            provider: response.provider,
+            model: response.model
+        };
     };
 
-    let lastError;
-    for (let i = 0; i <= retries; i++) {
-        try {
-            return await makeApiCall();
-        } catch (error) {
-            lastError = error;
-            if (i < retries) {
-                console.log(`API call attempt ${i + 1} failed, retrying...`);
-                await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1))); // Exponential backoff
+    // Only unusable answers are asked for again: the rate limiter retries
+    // quota errors and the job queue the stage on other provider errors
+    const callWithRetries = async () => {
+        let lastError;
+        for (let i = 0; i <= retries; i++) {
+            try {
+                return await makeApiCall();
+            } catch (error) {
+                if (!(error instanceof InvalidAnswerError)) {
+                    console.error('Error calling LLM API:', error.message);
+                    throw error;
+                }
+                lastError = error;
+                if (i < retries) console.log(`API call attempt ${i + 1} failed, retrying...`);
             }
         }
+        
+        console.error('Error calling LLM API after retries:', lastError);
+        console.error('Error details:', lastError.message);
+        throw lastError;
+    };
+
+    const { value, cached } = await responseCache.wrap(
+        { provider, model, promptVersion, prompt },
+        callWithRetries,
+        { bypass: bypassCache }
+    );
+    if (cached) console.log('Debug: Answered from the response cache');
+    return { ...value, cached };
+};
+
+// Layout analysis is best-effort: a failure there must not lose the text
+const analyzeLayout = async (label, analyze, fallback) => {
+    try {
+        return await analyze();
+    } catch (err) {
+        console.error(`Error analyzing ${label} layout:`, err.message);
+        return fallback;
     }
-    
-    console.error('Error calling Gemini API after retries:', lastError);
-    console.error('Error details:', lastError.message);
-    throw lastError;
 };
 
-// Helper function to extract text from PDF/DOCX/TXT
+// Helper function to extract text from PDF/DOCX/HTML/TXT
+// Returns { text, taggedFacts, tables, pages }; taggedFacts holds inline XBRL
+// facts already present in HTML filings, tables the structured financial
+// tables, and pages the positioned PDF text (null for other formats).
 const extractText = async (filePath) => {
     try {
         const ext = path.extname(filePath || '').toLowerCase();
@@ -106,201 +156,672 @@ const extractText = async (filePath) => {
         const buffer = await fs.readFile(filePath);
 
         if (ext === '.pdf') {
-            // Use pdf-parse to get text content
-            const data = await pdfParse(buffer);
-            // pdf-parse returns an object with a `text` property
-            return (data && data.text) ? data.text : '';
+            // Tables and entity positions come from pdfjs positional text
+            const pages = await analyzeLayout('PDF', () => readPdfPages(buffer), null);
+            const tables = pages ? detectPdfTables(pages) : [];
+            // Use pdf-parse to get text content, or the pdfjs lines if it cannot read the file
+            let text = '';
+            try {
+                const data = await pdfParse(buffer);
+                // pdf-parse returns an object with a `text` property
+                text = (data && data.text) ? data.text : '';
+            } catch (parseError) {
+                if (!pages) throw parseError;
+                console.warn('pdf-parse failed, using pdfjs text instead:', parseError.message);
+                text = pagesToText(pages);
+            }
+            return { text, taggedFacts: [], tables, pages };
         }
 
         if (ext === '.docx' || ext === '.doc') {
             // Use mammoth for Word documents (docx preferred)
             // mammoth can accept a buffer
             const result = await mammoth.extractRawText({ buffer });
-            return (result && result.value) ? result.value : '';
+            // mammoth's HTML output keeps the tables, which the HTML path understands
+            const tables = await analyzeLayout('DOCX', async () => {
+                const html = await mammoth.convertToHtml({ buffer });
+                return extractHtml(html.value || '').tables;
+            }, []);
+            return { text: (result && result.value) ? result.value : '', taggedFacts: [], tables, pages: null };
+        }
+
+        if (ext === '.html' || ext === '.htm' || ext === '.xhtml') {
+            // Strip markup but keep block and table structure, and collect ix:nonFraction facts
+            return { ...extractHtml(buffer.toString('utf8')), pages: null };
         }
 
         // Plain text / fallback: decode buffer as UTF-8
-        return buffer.toString('utf8');
+        return { text: buffer.toString('utf8'), taggedFacts: [], tables: [], pages: null };
     } catch (err) {
         console.error('Error extracting text from file:', err);
-        // Return empty string so downstream logic can still run and fallback to local extractor
-        return '';
+        // Return empty text so downstream logic can still run and fallback to local extractor
+        return { text: '', taggedFacts: [], tables: [], pages: null };
     }
 };
 
-// Helper function to identify numeric entities
-const identifyNumericEntities = async (text) => {
-    // Small contract:
-    // - Input: `text` string containing financial document text
-    // - Output: { entities: [ { value, type, description, unit, period, confidence } ] }
-    // If GEMINI API key is not present or USE_LOCAL_EXTRACTION=true, use a local rule-based extractor.
-
-    // Local rule-based extractor (fast fallback)
-    const ruleBasedNumericExtraction = (inputText) => {
-        const entities = [];
-
-        // Monetary values like $1,234.56 or USD 1,234
-        const moneyRegex = /(?:\bUSD\b|\bEUR\b|\bGBP\b|[$€£])\s?([0-9]{1,3}(?:,[0-9]{3})*(?:\.[0-9]+)?|[0-9]+(?:\.[0-9]+)?)/gi;
-        let m;
-        while ((m = moneyRegex.exec(inputText)) !== null) {
-            const raw = m[0];
-            const val = (m[1] || raw).replace(/,/g, '');
-            const unit = raw.match(/USD|EUR|GBP|[$€£]/i) ? (raw.match(/USD|EUR|GBP/i) || raw.match(/[$€£]/))[0] : null;
-            entities.push({
-                value: val,
-                type: 'monetary',
-                description: `Found monetary value: ${raw}`,
-                unit: unit || 'unknown',
-                period: null,
-                confidence: 0.8
-            });
-        }
+// Combine entity lists in priority order; an entity whose value was already
+// produced by a higher-priority source is dropped
+const mergeEntities = (...sources) => {
+    const seenValues = new Set();
+    const merged = [];
+    sources.forEach(entities => {
+        const sourceValues = new Set();
+        entities.forEach(entity => {
+            if (seenValues.has(entity.value)) return;
+            sourceValues.add(entity.value);
+            merged.push(entity);
+        });
+        sourceValues.forEach(value => seenValues.add(value));
+    });
+    return merged;
+};
 
-        // Percentages like 12.5%
-        const pctRegex = /([0-9]{1,3}(?:,[0-9]{3})*(?:\.[0-9]+)?)\s?%/g;
-        while ((m = pctRegex.exec(inputText)) !== null) {
-            const raw = m[0];
-            const val = m[1].replace(/,/g, '');
-            entities.push({
-                value: val,
-                type: 'percentage',
-                description: `Found percentage: ${raw}`,
-                unit: '%',
-                period: null,
-                confidence: 0.8
-            });
+// Convert an inline XBRL fact into a FinNI entity that keeps its existing tag
+const taggedFactToEntity = (fact) => {
+    // The unit's measure when the filing declares it ('iso4217:USD/shares')
+    const unitId = unitIdFromMeasure(fact.unitMeasure);
+    const unitRef = (unitId || fact.unitRef || '').toLowerCase();
+    // The fact states its own scale, sign and precision
+    const scale = parseInt(fact.scale, 10) || 0;
+    let type = 'number';
+    if (/^shares?$/.test(unitRef)) {
+        type = 'shares';
+    } else if (unitRef.includes('percent')) {
+        type = 'percentage';
+    } else if (unitRef === 'pure') {
+        // Pure facts shown as percentages ("12.5%", scale -2) are
+        // percentages, the others ratios
+        type = scale === -2 || String(fact.rawText).includes('%') ? 'percentage' : 'ratio';
+    } else if (unitRef) {
+        type = 'monetary';
+    }
+
+    const decimals = parseInt(fact.decimals, 10);
+    return {
+        value: fact.value,
+        rawText: fact.rawText,
+        numericValue: Number(`${fact.sign === '-' ? '-' : ''}${fact.value}e${scale}`),
+        decimals: Number.isNaN(decimals) ? null : decimals,
+        scale,
+        sign: fact.sign === '-' ? '-' : '+',
+        type,
+        description: `Inline XBRL fact ${fact.concept}: ${fact.rawText}`,
+        unit: fact.unitRef,
+        unitId,
+        period: fact.contextRef,
+        contextPeriod: fact.contextPeriod || null,
+        // Axes and members of the fact's context, as the filing declares them
+        dimensions: fact.contextDimensions || [],
+        confidence: 1,
+        source: 'ixbrl',
+        xbrlTag: {
+            concept: fact.concept,
+            taxonomy: fact.prefix,
+            confidence: 1
         }
+    };
+};
 
-        // Plain numbers (counts, shares)
-        const numRegex = /\b([0-9]{1,3}(?:,[0-9]{3})*(?:\.[0-9]+)?)\b/g;
-        while ((m = numRegex.exec(inputText)) !== null) {
-            const raw = m[0];
-            const val = raw.replace(/,/g, '');
-            // Heuristics: look ahead/back for keywords
-            const contextStart = Math.max(0, m.index - 40);
-            const context = inputText.substring(contextStart, Math.min(inputText.length, m.index + 40));
-            let type = 'count';
-            let unit = null;
-            if (/share|shares|issued|outstanding/i.test(context)) {
-                type = 'shares';
-                unit = 'shares';
-            } else if (/year|fy|q[1-4]|quarter|as of/i.test(context)) {
-                type = 'date';
-            }
-            entities.push({
-                value: val,
-                type,
-                description: `Context: ${context.replace(/\s+/g, ' ').trim()}`,
-                unit: unit,
-                period: null,
-                confidence: 0.6
-            });
+// What the text before a date says it is: a maturity, grant or balance
+// sheet date, or just a date
+const dateKind = (before) => {
+    if (/(?:\b(?:matur\w*|due|expir\w*|repayable|redeemable|fällig|vencimiento|scadenza)\b|échéance)[^.;\n]*$/i.test(before)) return 'maturity date';
+    if (/\bgrant(?:ed)?\b[^.;\n]*$/i.test(before)) return 'grant date';
+    if (/\b(?:as\s+of|as\s+at|balance\s+sheet|statements?\s+of\s+financial\s+position)\b[^.;\n]*$/i.test(before)) return 'balance sheet date';
+    // "Bilanz zum", "au 31 décembre", "al 31 de diciembre"
+    if (/\b(?:zum|per|au|al)\s*$/i.test(before)) return 'balance sheet date';
+    return 'date';
+};
+
+// Local rule-based extractor (fast fallback). Each entity keeps the offset of
+// its first match in the text, and its value normalized under the scale
+// statements of the document (`baseOffset` is where inputText starts in it).
+// Numbers are read as `numberFormat` writes them (see utils/entities/locales).
+const ruleBasedNumericExtraction = (inputText, {
+    scaleStatements = findScaleStatements(inputText),
+    baseOffset = 0,
+    numberFormat = numberFormatFor(DEFAULT_LOCALE)
+} = {}) => {
+    const entities = [];
+
+    // Dates like December 31, 2024 or 31.12.2024, in ISO 8601; their digits
+    // are blanked out so the passes below do not read them as numbers
+    const dates = findDates(inputText, { dateOrder: numberFormat.dateOrder });
+    dates.forEach(date => {
+        entities.push({
+            value: date.value,
+            type: 'date',
+            description: `Found ${dateKind(inputText.slice(Math.max(0, date.offset - 80), date.offset))}: ${date.rawText}`,
+            unit: null,
+            period: null,
+            confidence: 0.8,
+            offset: date.offset,
+            rawText: date.rawText,
+            numericValue: null,
+            decimals: null,
+            scale: null,
+            sign: null
+        });
+    });
+    const text = blankDates(inputText, dates);
+
+    const number = numberPattern(numberFormat);
+    // Percentages and plain numbers are grouped or at most three digits long
+    const shortNumber = numberPattern(numberFormat, { long: false });
+    // The number at `index` (of `length` characters) as written, normalized.
+    // What it is of is told by the line before it ("Diluted EPS $1.10").
+    const normalized = (entity, index, length) => {
+        const { rawText } = rawTextAt(text, index, index + length);
+        const line = inputText.slice(Math.max(0, index - 120), index).split('\n').pop();
+        return normalizeEntity(entity, {
+            rawText,
+            statement: scaleStatementAt(scaleStatements, baseOffset + index),
+            format: numberFormat,
+            label: line
+        });
+    };
+
+    // Spans of the monetary values and percentages found, which the plain
+    // number pass below does not read again
+    const matched = [];
+
+    // Monetary values like $1,234.56, $ (1,234), HK$1,234, ¥500 or CHF 1,234,
+    // or with the currency after the number: 1.234.567,89 EUR, 1 234,56 €
+    const moneyRegex = new RegExp(`(${CURRENCY_PATTERN})\\s?\\(?\\s?(${number})|(${number})\\s?(${CURRENCY_PATTERN})(?![\\w$])`, 'g');
+    let m;
+    while ((m = moneyRegex.exec(text)) !== null) {
+        const raw = m[0];
+        const written = m[2] || m[3];
+        const val = toCanonicalNumber(written, numberFormat);
+        // The currency as written; resolved to an ISO 4217 code in runFinNI
+        const unit = m[1] || m[4];
+        const index = m[2] ? m.index + raw.length - written.length : m.index;
+        entities.push(normalized({
+            value: val,
+            type: 'monetary',
+            description: `Found monetary value: ${raw}`,
+            unit: unit || 'unknown',
+            period: null,
+            confidence: 0.8,
+            offset: m.index
+        }, index, written.length));
+        matched.push({ offset: m.index, end: m.index + raw.length });
+    }
+
+    // Percentages like 12.5% (12,5 % in continental locales)
+    const pctRegex = new RegExp(`(${shortNumber})\\s?%`, 'g');
+    while ((m = pctRegex.exec(text)) !== null) {
+        const raw = m[0];
+        const val = toCanonicalNumber(m[1], numberFormat);
+        entities.push(normalized({
+            value: val,
+            type: 'percentage',
+            description: `Found percentage: ${raw}`,
+            unit: '%',
+            period: null,
+            confidence: 0.8,
+            offset: m.index
+        }, m.index, m[1].length));
+        matched.push({ offset: m.index, end: m.index + raw.length });
+    }
+
+    // Plain numbers (counts, shares), outside the spans read above (blanked
+    // like the dates, offsets unchanged)
+    const plainText = blankDates(text, matched);
+    const numRegex = new RegExp(`\\b(${shortNumber})\\b`, 'g');
+    while ((m = numRegex.exec(plainText)) !== null) {
+        const raw = m[0];
+        const val = toCanonicalNumber(raw, numberFormat);
+        // Heuristics: look ahead/back for keywords
+        const contextStart = Math.max(0, m.index - 40);
+        const context = inputText.substring(contextStart, Math.min(inputText.length, m.index + 40));
+        let type = 'count';
+        let unit = null;
+        if (/share|shares|issued|outstanding/i.test(context)) {
+            type = 'shares';
+            unit = 'shares';
         }
+        entities.push(normalized({
+            value: val,
+            type,
+            description: `Context: ${context.replace(/\s+/g, ' ').trim()}`,
+            unit: unit,
+            period: null,
+            confidence: 0.6,
+            offset: m.index
+        }, m.index, raw.length));
+    }
 
-        // Deduplicate by value+type
-        const dedup = [];
-        const seen = new Set();
-        for (const e of entities) {
-            const key = `${e.value}||${e.type}`;
-            if (!seen.has(key)) {
-                seen.add(key);
-                dedup.push(e);
-            }
+    // Deduplicate by value+type
+    const dedup = [];
+    const seen = new Set();
+    for (const e of entities) {
+        const key = `${e.value}||${e.type}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            dedup.push(e);
         }
-        return dedup;
+    }
+    return dedup;
+};
+
+// Tokens of the FinNI prompt besides the document text: at least 600, more
+// for templates with long instructions or examples (about 4 characters a token)
+const promptOverheadTokens = (promptVersion) =>
+    Math.max(600, Math.ceil(renderPrompt(promptVersion, 'finni', { sectionNote: '', text: '' }).length / 4) + 50);
+
+// Chunking settings for LLM extraction (chunk and overlap sizes in characters).
+// With a limited context window, chunks shrink so that the prompt leaves room
+// for the answer (half the window, at most 8192 tokens).
+const getChunkSettings = (provider, promptVersion) => {
+    let maxChars = parseInt(process.env.FINNI_CHUNK_SIZE, 10) || 24000;
+    let overlap = parseInt(process.env.FINNI_CHUNK_OVERLAP, 10) || 1000;
+
+    const contextWindow = getContextWindow(provider);
+    if (contextWindow) {
+        const inputTokens = contextWindow - Math.min(8192, Math.floor(contextWindow / 2)) - promptOverheadTokens(promptVersion);
+        maxChars = Math.min(maxChars, Math.max(1000, inputTokens * 4));
+        overlap = Math.min(overlap, Math.floor(maxChars / 10));
+    }
+
+    return {
+        maxChars,
+        overlap,
+        concurrency: parseInt(process.env.FINNI_CHUNK_CONCURRENCY, 10) || 3
+    };
+};
+
+// Extract entities from a single chunk of the document with the LLM.
+// Returns { entities, dropped, repairs, provider, model, cached }.
+const extractChunkEntities = async (chunk, totalChunks, options = {}) => {
+    const sectionNote = `This is part ${chunk.index + 1} of ${totalChunks} of the document` +
+        (chunk.section ? ` (section: ${chunk.section}).\n` : '.\n');
+
+    const prompt = renderPrompt(options.promptVersion, 'finni', {
+        sectionNote,
+        text: chunk.text
+    });
+
+    const response = await callLLM(prompt, 2, options);
+
+    // Values stay as the LLM wrote them ("1.234,56"); identifyNumericEntities
+    // reads them in the document's locale
+    const entities = response.entities.map(entity => ({
+        ...entity,
+        value: entity.value.toString(),
+        chunkIndex: chunk.index
+    }));
+    return {
+        entities,
+        dropped: response.dropped,
+        repairs: response.repairs,
+        provider: response.provider,
+        model: response.model,
+        cached: response.cached
     };
+};
+
+// Merge entities found in several chunks. Overlapping chunks see the same
+// figures twice, so entities agreeing on value, type and period are collapsed
+// into the most confident one.
+const mergeChunkEntities = (entityLists) => {
+    const byKey = new Map();
+    entityLists.flat().forEach(entity => {
+        const key = [entity.value, entity.type, (entity.period || '').toLowerCase()].join('||');
+        const existing = byKey.get(key);
+        if (!existing || (entity.confidence || 0) > (existing.confidence || 0)) {
+            byKey.set(key, entity);
+        }
+    });
+    return Array.from(byKey.values());
+};
 
-    const useLocal = process.env.USE_LOCAL_EXTRACTION === 'true' || !process.env.GEMINI_API_KEY;
+// Helper function to identify numeric entities
+const identifyNumericEntities = async (text, {
+    onProgress = () => {},
+    signal,
+    options = {},
+    usage,
+    numberFormat = numberFormatFor(DEFAULT_LOCALE)
+} = {}) => {
+    // Small contract:
+    // - Input: `text` string containing financial document text
+    // - Output: { entities: [ { value, type, description, unit, period, confidence } ], coverage, provider, model, cache }
+    //   where coverage = { totalChunks, processedChunks, failedChunks: [ { index, start, end, section, error } ] },
+    //   provider/model name the LLM that produced the entities ('local'/null for rule-based only)
+    //   cache = { hits, misses } counts chunks answered from the response cache
+    //   validation = { repairPrompts, droppedItems, dropReasons } counts entities that failed
+    //   schema validation and were dropped after the repair prompts, and ensemble summarizes
+    //   the reconciliation with the rules in the 'ensemble' extraction mode (null otherwise).
+    //   Each entity records its `source` ('llm', 'rules' or 'llm+rules') and any `flags`.
+    // If no LLM provider is configured, USE_LOCAL_EXTRACTION=true or the run asks for the
+    // 'local' provider, use a local rule-based extractor.
+    // Otherwise the whole document is split into overlapping chunks sent to the LLM in parallel;
+    // chunks whose call fails fall back to the rule-based extractor and are listed in failedChunks.
+    // In the 'ensemble' extraction mode the rules also run over the whole text and their
+    // entities are reconciled with the LLM's (see utils/entities/ensemble).
+    // onProgress(chunksDone, totalChunks) is called as each chunk finishes, and every
+    // provider call is added to the `usage` tracker when one is given.
+    // Numbers are read as `numberFormat` (the document's locale) writes them.
+
+    const { provider, model, promptVersion, noCache, extractionMode } = resolveRunOptions(options);
+    const ensemble = extractionMode === 'ensemble';
+    const useLocal = provider === LOCAL_PROVIDER || process.env.USE_LOCAL_EXTRACTION === 'true';
     if (useLocal) {
         console.log('Debug: Using local rule-based numeric extractor (no external API)');
-        const entities = ruleBasedNumericExtraction(text);
-        return { entities };
+        const entities = ruleBasedNumericExtraction(text, { numberFormat }).map(entity => ({ ...entity, source: 'rules' }));
+        onProgress(1, 1);
+        return {
+            entities,
+            coverage: { totalChunks: 1, processedChunks: 1, failedChunks: [] },
+            provider: LOCAL_PROVIDER,
+            model: null,
+            cache: { hits: 0, misses: 0 },
+            validation: { repairPrompts: 0, droppedItems: 0, dropReasons: [] },
+            ensemble: null
+        };
     }
 
-    try {
-
-        const prompt = `
-            You are a financial statement parsing expert. Your task is to extract numeric values from financial statements with high precision.
-
-            Follow these strict rules:
-            1. Return ONLY a JSON object with an "entities" array
-            2. Each entity MUST have all required fields
-            3. Remove commas from numeric values
-            4. Skip unclear or partial numbers
-            5. Use high confidence (0.9+) for clear items
-            6. Use lower confidence (0.6-0.8) for derived or unclear items
-
-            Typical financial statement items to identify:
-            - Revenue and income figures (monetary)
-            - Expense items (monetary)
-            - Balance sheet amounts (monetary)
-            - Financial ratios (ratio)
-            - Fiscal periods and dates (date)
-            - Share counts or values (shares)
-            - Percentages like growth rates (percentage)
-
-            Return this exact JSON structure with no other text:
-            {
-                "entities": [
-                    {
-                        "value": "string, no commas",
-                        "type": "monetary",
-                        "description": "Revenue for fiscal year",
-                        "unit": "USD",
-                        "period": "FY 2021",
-                        "confidence": 0.95
-                    }
-                ]
-            }
-
-            Financial statement text to analyze:
-            ${text}
-        `;
+    const settings = getChunkSettings(provider, promptVersion);
+    const chunks = chunkText(text, settings);
+    console.log(`Debug: Processing ${chunks.length} chunks with concurrency ${settings.concurrency}`);
 
-        const resultText = await callGeminiAPI(prompt);
-        
-        // Validate and sanitize the response text
-        let sanitizedText = resultText.trim();
-        if (sanitizedText.startsWith('```json')) {
-            sanitizedText = sanitizedText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        let result;
+    let chunksDone = 0;
+    onProgress(0, chunks.length);
+    const outcomes = await mapWithConcurrency(chunks, settings.concurrency, async chunk => {
+        // A cancelled job stops sending chunks
+        if (signal) signal.throwIfAborted();
         try {
-            result = JSON.parse(sanitizedText);
-            
-            // Validate the response format
-            if (!result.entities || !Array.isArray(result.entities)) {
-                console.error('Invalid response structure:', result);
-                throw new Error('Invalid response format from AI API');
-            }
-        } catch (parseError) {
-            console.error('Failed to parse API response as JSON:', parseError);
-            console.log('Raw API response:', resultText);
-            throw new Error('Invalid JSON response from API');
+            return await extractChunkEntities(chunk, chunks.length, { provider, model, promptVersion, bypassCache: noCache, usage });
+        } finally {
+            onProgress(++chunksDone, chunks.length);
         }
+    });
+    if (signal) signal.throwIfAborted();
+
+    // Replays must fail rather than fall back to rules on unrecorded calls
+    const fixtureMiss = outcomes.find(outcome => outcome.reason instanceof FixtureMissError);
+    if (fixtureMiss) throw fixtureMiss.reason;
+
+    // LLM values, which may be written as in the document ("1.234,56"), are
+    // made canonical and matched with the number written in their chunk, to
+    // normalize them under the document's scale statements. Dates are
+    // normalized to ISO 8601 and matched with a date written in their chunk.
+    const scaleStatements = findScaleStatements(text);
+    const rawNumbers = indexRawNumbers(text, numberFormat);
+    const writtenDates = findDates(text, { dateOrder: numberFormat.dateOrder });
+    const normalizeLlmEntity = (llmEntity, chunk) => {
+        if (llmEntity.type === 'date') {
+            const value = toIsoDate(llmEntity.value, { dateOrder: numberFormat.dateOrder }) || String(llmEntity.value);
+            const written = writtenDates.find(date => date.value === value && date.offset >= chunk.start && date.offset < chunk.end);
+            return normalizeEntity({ ...llmEntity, value }, { rawText: written ? written.rawText : null });
+        }
+        const entity = { ...llmEntity, value: canonicalValue(llmEntity.value, numberFormat) };
+        const found = findRawNumber(rawNumbers, entity.value, chunk);
+        return found
+            ? normalizeEntity(entity, {
+                rawText: found.rawText,
+                statement: scaleStatementAt(scaleStatements, found.offset),
+                format: numberFormat
+            })
+            : normalizeEntity(entity);
+    };
 
-        // Post-process and validate each entity
-        result.entities = result.entities.map(entity => ({
+    const entityLists = [];
+    const failedChunks = [];
+    let answeredBy = null;
+    const cache = { hits: 0, misses: 0 };
+    const validation = { repairPrompts: 0, droppedItems: 0, dropReasons: [] };
+    outcomes.forEach((outcome, i) => {
+        const chunk = chunks[i];
+        const cached = outcome.status === 'fulfilled' && outcome.value.cached;
+        cached ? cache.hits++ : cache.misses++;
+        if (outcome.status === 'fulfilled') {
+            entityLists.push(outcome.value.entities.map(entity => ({ ...normalizeLlmEntity(entity, chunk), source: 'llm' })));
+            validation.repairPrompts += outcome.value.repairs;
+            validation.droppedItems += outcome.value.dropped.length;
+            countDropReasons(outcome.value.dropped, validation.dropReasons);
+            answeredBy = answeredBy || outcome.value;
+            return;
+        }
+        console.error(`Error in AI processing of chunk ${chunk.index}:`, outcome.reason);
+        // Fallback to local extraction for this chunk only (the ensemble
+        // already runs the rules over the whole text)
+        console.log(`Debug: Falling back to local rule-based extraction for chunk ${chunk.index}`);
+        failedChunks.push({
+            index: chunk.index,
+            start: chunk.start,
+            end: chunk.end,
+            section: chunk.section,
+            error: outcome.reason.message,
+            fallback: 'rule-based'
+        });
+        if (ensemble) return;
+        entityLists.push(ruleBasedNumericExtraction(chunk.text, { scaleStatements, baseOffset: chunk.start, numberFormat }).map(entity => ({
             ...entity,
-            confidence: entity.confidence || 0.9,
-            value: (entity.value || '').toString().replace(/,/g, ''), // Standardize number format
-            type: (entity.type || '').toLowerCase()
-        }));
+            offset: chunk.start + entity.offset,
+            chunkIndex: chunk.index,
+            source: 'rules'
+        })));
+    });
+
+    let entities = mergeChunkEntities(entityLists);
+    let ensembleSummary = null;
+    if (ensemble) {
+        // Run the rules over the whole text and reconcile them with the LLM
+        const processedChunks = chunks
+            .filter(chunk => !failedChunks.some(failed => failed.index === chunk.index))
+            .map(chunk => chunk.index);
+        entities = reconcileEntities({
+            text,
+            llmEntities: entities,
+            ruleEntities: ruleBasedNumericExtraction(text, { scaleStatements, numberFormat }),
+            chunks,
+            processedChunks,
+            numberFormat
+        });
+        ensembleSummary = summarizeEnsemble(entities);
+        console.log('Debug: Ensemble reconciliation:', JSON.stringify(ensembleSummary));
+    }
 
-        return result;
-    } catch (error) {
-        console.error('Error in AI processing:', error);
-        // Fallback to local extraction on API failure
-        console.log('Debug: Falling back to local rule-based extraction due to AI error');
-        const entities = ruleBasedNumericExtraction(text);
-        return { entities };
+    return {
+        entities,
+        coverage: {
+            totalChunks: chunks.length,
+            processedChunks: chunks.length - failedChunks.length,
+            failedChunks
+        },
+        // Every chunk fell back to the rule-based extractor if nothing answered
+        provider: answeredBy ? answeredBy.provider : LOCAL_PROVIDER,
+        model: answeredBy ? answeredBy.model : null,
+        cache,
+        validation,
+        ensemble: ensembleSummary
+    };
+};
+
+// Pipeline stage: extract text, tables and layout from the report's file and
+// keep them for the FinNI stage
+const extractReport = async (reportId) => {
+    const report = await localStorage.getReport(reportId);
+    if (!report) {
+        throw new Error(`Report ${reportId} not found`);
     }
+
+    // Extract text from document
+    const extraction = await extractText(report.fileUrl);
+    const { text, taggedFacts, tables } = extraction;
+
+    // Log extracted text for debugging
+    console.log('Debug: Extracted text length:', text.length);
+    console.log('Debug: First 500 chars of extracted text:', text.substring(0, 500));
+    console.log('Debug: Detected', tables.length, 'tables and', taggedFacts.length, 'inline XBRL facts');
+
+    await localStorage.saveExtraction(reportId, extraction);
+    await localStorage.updateReport(reportId, {
+        extractedData: { ...(report.extractedData || {}), tables }
+    });
+};
+
+// Pipeline stage: identify numeric entities in an extracted report and save
+// the FinNI result, with its full entities kept for FinCL.
+// `options` holds the run's overrides (see utils/jobs/runOptions).
+// Returns { finniResultId }.
+const runFinNI = async (reportId, { onProgress, signal, jobId = null, options = {} } = {}) => {
+    const extraction = await localStorage.getExtraction(reportId);
+    if (!extraction) {
+        throw new Error(`No extracted text for report ${reportId}`);
+    }
+    const { text, taggedFacts, tables, pages } = extraction;
+
+    // Numbers and dates are read in the locale given on upload, else the one
+    // the text is written in
+    const report = await localStorage.getReport(reportId);
+    const metadata = (report && report.metadata) || {};
+    const locale = resolveLocale(metadata.locale) || detectLocale(text);
+    const numberFormat = numberFormatFor(locale);
+    console.log(`Debug: Reading numbers as ${locale}${metadata.locale ? ' (set on upload)' : ' (detected)'}`);
+
+    // Identify numeric entities, counting the tokens of every LLM call
+    const usage = createUsageTracker({ userId: report && report.userId, reportId, jobId, stage: 'finni' });
+    const results = await identifyNumericEntities(text, { onProgress, signal, options, usage, numberFormat });
+
+    // Facts already tagged in inline XBRL are taken as-is, then table cells
+    // (which keep their row label and column period), then free-text matches.
+    // Values covered by an earlier source are not re-guessed.
+    results.entities = mergeEntities(
+        taggedFacts.map(taggedFactToEntity),
+        tables.flatMap((table, index) => tableToEntities(table, index, { numberFormat })),
+        results.entities
+    );
+
+    // Point every entity back at its source: page and bounding box for
+    // PDFs, paragraph or table-cell anchors for the other formats
+    const locate = pages ? createPdfLocator(pages, { numberFormat }) : createTextLocator(text, { numberFormat });
+    results.entities = results.entities.map(entity => ({
+        ...entity,
+        location: entity.location || locate(entity)
+    }));
+
+    // Facts that are part of a breakdown (segment, product line, geography,
+    // equity component) rather than a consolidated total
+    results.entities = assignBreakdowns(results.entities, { text, tables });
+
+    // Resolve every entity's period into a context shared by the entities
+    // with the same period
+    const { entities, contexts } = assignContexts(results.entities, {
+        text,
+        fiscalYear: metadata.fiscalYear || null,
+        dateOrder: numberFormat.dateOrder
+    });
+    // One XBRL item type rule for every extractor
+    results.entities = entities.map(entity => ({ ...entity, itemType: classifyItemType(entity) }));
+
+    // Amounts without a currency of their own are in the reporting currency.
+    // Facts from inline XBRL keep the unit their filing declares.
+    const reportingCurrency = detectReportingCurrency(text);
+    results.entities = results.entities.map(entity => {
+        const currency = currencyOf(entity, { reportingCurrency });
+        return { ...entity, currency, unitId: entity.unitId || unitIdFor(entity.itemType, currency) };
+    });
+
+    // Create result entry
+    const runOptions = resolveRunOptions(options);
+    const resultData = {
+        reportId: reportId,
+        jobId,
+        // What actually produced the entities, which may differ from what
+        // the run asked for when the LLM failed and rules took over
+        provider: results.provider,
+        modelName: results.model || RULE_BASED_MODEL,
+        taskType: 'FinNI',
+        runOptions,
+        // Identifies the exact templates of runOptions.promptVersion
+        promptChecksum: promptChecksum(runOptions.promptVersion),
+        results: {
+            predictions: results.entities.map(entity => ({
+                value: entity.value,
+                // The value as written and as an XBRL fact would state it
+                rawText: entity.rawText,
+                numericValue: entity.numericValue,
+                decimals: entity.decimals,
+                scale: entity.scale,
+                sign: entity.sign,
+                entityType: entity.type,
+                // XBRL item type, e.g. monetaryItemType or perShareItemType
+                itemType: entity.itemType,
+                // ISO 4217 currency and the XBRL unit ID, e.g. iso4217:USD/shares
+                currency: entity.currency,
+                unitId: entity.unitId,
+                confidence: entity.confidence,
+                // Period of the fact, as stated and resolved into a context
+                period: entity.period,
+                periodType: entity.periodType,
+                startDate: entity.startDate,
+                endDate: entity.endDate,
+                contextId: entity.contextId,
+                // Breakdown the fact belongs to ({ kind, member, lineItem }),
+                // and the dimensions of its inline XBRL context
+                breakdown: entity.breakdown || null,
+                dimensions: entity.dimensions || [],
+                // Which extractor found the entity, and what the ensemble noticed
+                source: entity.source,
+                flags: entity.flags || [],
+                location: entity.location || {
+                    pageNum: null,
+                    coordinates: null
+                }
+            })),
+            metrics: {
+                precision: 0.95,
+                recall: 0.92,
+                f1Score: 0.93,
+                accuracy: 0.94
+            }
+        },
+        // Distinct periods of the predictions, referenced by their contextId
+        contexts,
+        // Currency of the amounts that do not state their own
+        reportingCurrency,
+        // Locale the document's numbers and dates were read in
+        locale,
+        // Which parts of the document the LLM actually processed
+        coverage: results.coverage,
+        // Chunks answered from the response cache instead of the provider
+        cache: results.cache,
+        // LLM entities that failed schema validation even after repair
+        validation: results.validation,
+        // How the LLM and rules agreed, in the 'ensemble' extraction mode,
+        // counted over the entities kept after merging with tables and iXBRL
+        ensemble: results.ensemble && summarizeEnsemble(results.entities),
+        // Tokens and cost of the LLM calls (cache hits cost nothing)
+        usage: usage.summary(),
+        processingTime: 1000 // milliseconds
+    };
+
+    // Save result to local storage
+    if (signal) signal.throwIfAborted();
+    const savedResult = await localStorage.saveRunResult(resultData);
+    await localStorage.saveEntities(savedResult.id, results.entities);
+
+    console.log('FinNI processing completed successfully');
+
+    return { finniResultId: savedResult.id };
 };
 
+// Queue a report for extraction -> FinNI -> FinCL. The body may pick the
+// provider and model (see utils/jobs/runOptions).
 const processFinNI = async (req, res) => {
     try {
         const { reportId } = req.body;
+
+        const { options, error } = parseRunOptions(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
         
         // Get report details from local storage
         const report = await localStorage.getReport(reportId);
@@ -310,79 +831,16 @@ const processFinNI = async (req, res) => {
                 message: 'Report not found'
             });
         }
-        
-        const filePath = report.fileUrl;
-
-        // Extract text from document
-        const text = await extractText(filePath);
-        
-        // Log extracted text for debugging
-        console.log('Debug: Extracted text length:', text.length);
-        console.log('Debug: First 500 chars of extracted text:', text.substring(0, 500));
-
-        // Identify numeric entities
-        const results = await identifyNumericEntities(text);
-
-        // Create result entry
-        const resultData = {
-            reportId: reportId,
-            modelName: 'Gemini 2.5 Flash',
-            taskType: 'FinNI',
-            results: {
-                predictions: results.entities.map(entity => ({
-                    value: entity.value,
-                    entityType: entity.type,
-                    confidence: entity.confidence,
-                    location: {
-                        pageNum: 1,
-                        coordinates: null // To be implemented
-                    }
-                })),
-                metrics: {
-                    precision: 0.95,
-                    recall: 0.92,
-                    f1Score: 0.93,
-                    accuracy: 0.94
-                }
-            },
-            processingTime: 1000 // milliseconds
-        };
 
-        // Save result to local storage
-        const savedResult = await localStorage.saveResult(resultData);
+        const job = await jobQueue.enqueue(reportId, { options });
 
-        console.log('FinNI processing completed successfully');
-
-        // Automatically trigger FinCL (Concept Linking) to map entities to US-GAAP
-        console.log('Triggering FinCL to map entities to US-GAAP concepts...');
-        try {
-            const axios = require('axios');
-            await axios.post('http://localhost:5000/api/fincl', {
-                reportId: reportId,
-                entities: results.entities
-            });
-            console.log('FinCL triggered successfully');
-        } catch (finclError) {
-            console.error('Error triggering FinCL:', finclError.message);
-            // Don't fail the whole request if FinCL fails
-        }
-
-        // Update report status to completed
-        await localStorage.updateReportStatus(reportId, 'completed');
-
-        res.status(200).json({
+        res.status(202).json({
             success: true,
-            message: 'FinNI processing completed',
-            data: resultData
+            message: 'FinNI processing queued',
+            data: { reportId, jobId: job.id }
         });
     } catch (error) {
         console.error('FinNI processing error:', error);
-        
-        // Update report status to failed
-        if (req.body.reportId) {
-            await localStorage.updateReportStatus(req.body.reportId, 'failed');
-        }
-        
         res.status(500).json({
             success: false,
             message: 'Error processing FinNI task',
@@ -392,5 +850,7 @@ const processFinNI = async (req, res) => {
 };
 
 module.exports = {
+    extractReport,
+    runFinNI,
     processFinNI
 };
@@ -0,0 +1,173 @@
+const localStorage = require('../config/localStorage');
+const jobQueue = require('../utils/jobs/jobQueue');
+const { isJobActive } = require('../utils/jobs/jobStatus');
+const { RERUN_STAGES, parseRunOptions } = require('../utils/jobs/runOptions');
+
+// Cancel the report's queued or running job
+const cancelReport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await localStorage.getReport(reportId);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        const job = jobQueue.getLatestJob(reportId);
+        if (!isJobActive(job)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Report is not being processed'
+            });
+        }
+
+        const cancelled = await jobQueue.cancel(job.id);
+
+        // A running stage stops at its next checkpoint, so the job may still
+        // be processing when this returns
+        res.status(202).json({
+            success: true,
+            message: cancelled.status === 'cancelled' ? 'Processing cancelled' : 'Cancellation requested',
+            data: { reportId, jobId: cancelled.id, status: cancelled.status }
+        });
+    } catch (error) {
+        console.error('Error cancelling report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling processing',
+            error: error.message
+        });
+    }
+};
+
+// Resume the report's failed or cancelled job from the stage that did not complete
+const retryReport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await localStorage.getReport(reportId);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        const job = jobQueue.getLatestJob(reportId);
+        if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) {
+            return res.status(409).json({
+                success: false,
+                message: 'Only failed or cancelled processing can be retried'
+            });
+        }
+
+        const retried = await jobQueue.retry(job.id);
+        if (!retried) {
+            return res.status(409).json({
+                success: false,
+                message: 'Nothing left to retry'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Retry queued',
+            data: { reportId, jobId: retried.id, stage: retried.currentStage }
+        });
+    } catch (error) {
+        console.error('Error retrying report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrying processing',
+            error: error.message
+        });
+    }
+};
+
+// Re-run FinNI or FinCL (and the stages after it) with optional overrides.
+// Body: { task: 'FinNI' | 'FinCL', provider, model, promptVersion, taxonomy,
+// finniResultId } — finniResultId picks the FinNI run a FinCL re-run maps,
+// defaulting to the latest one.
+const rerunReport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { task, finniResultId } = req.body || {};
+
+        if (!RERUN_STAGES[task]) {
+            return res.status(400).json({
+                success: false,
+                message: `task must be one of: ${Object.keys(RERUN_STAGES).join(', ')}`
+            });
+        }
+
+        const { options, error } = parseRunOptions(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const report = await localStorage.getReport(reportId);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (isJobActive(jobQueue.getLatestJob(reportId))) {
+            return res.status(409).json({
+                success: false,
+                message: 'Report is already being processed'
+            });
+        }
+
+        const data = {};
+        if (task === 'FinCL') {
+            const finniResult = finniResultId
+                ? await localStorage.getResult(finniResultId)
+                : await localStorage.getLatestResult(reportId, 'FinNI');
+            const entities = finniResult && finniResult.reportId === reportId
+                ? await localStorage.getEntities(finniResult.id)
+                : null;
+            if (!entities) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'No FinNI result to map for this report; re-run FinNI first'
+                });
+            }
+            data.finniResultId = finniResult.id;
+        }
+
+        // Extraction is repeated only if its output is gone
+        const stages = [...RERUN_STAGES[task]];
+        if (!(await localStorage.getExtraction(reportId))) {
+            stages.unshift('extraction');
+        }
+
+        const job = await jobQueue.enqueue(reportId, { stages, data, options });
+
+        res.status(202).json({
+            success: true,
+            message: `${task} re-run queued`,
+            data: { reportId, jobId: job.id, stages: Object.keys(job.stages), options }
+        });
+    } catch (error) {
+        console.error('Error re-running report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error queueing re-run',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    cancelReport,
+    retryReport,
+    rerunReport
+};
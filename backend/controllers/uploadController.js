@@ -1,8 +1,9 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
 const localStorage = require('../config/localStorage');
+const jobQueue = require('../utils/jobs/jobQueue');
+const { SUPPORTED_LOCALES, resolveLocale } = require('../utils/entities/locales');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = path.join(__dirname, '..', 'uploads');
@@ -62,42 +63,46 @@ const uploadFile = async (req, res) => {
       });
     }
 
+    // Optional locale of the document's numbers and dates ('de-DE', 'fr');
+    // detected from its text when not given
+    const locale = req.body.locale ? resolveLocale(req.body.locale) : null;
+    if (req.body.locale && !locale) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported locale ${req.body.locale}. Supported locales: ${SUPPORTED_LOCALES.join(', ')}`,
+      });
+    }
+
     // Create report entry
     const reportData = {
       fileName: req.file.originalname,
       fileType: path.extname(req.file.originalname).toUpperCase().slice(1),
       fileUrl: req.file.path,
       status: 'uploaded',
+      userId: req.user.id,
       metadata: {
         companyName: req.body.companyName,
         fiscalYear: req.body.fiscalYear,
         documentType: req.body.documentType,
+        locale,
       },
     };
 
     // Save report using local storage
     const savedReport = await localStorage.saveReport(reportData);
 
-    // Trigger FinNI processing asynchronously
+    // Queue extraction -> FinNI -> FinCL; the response does not wait for it
     try {
-      const response = await axios.post('http://localhost:5000/api/finni', {
-        reportId: savedReport.id,
-      });
-
-      savedReport.status = 'processing';
-      await localStorage.saveReport(savedReport);
-
-      if (response.data && response.data.success === false) {
-        throw new Error(response.data.message || 'FinNI processing failed');
-      }
+      const job = await jobQueue.enqueue(savedReport.id);
 
       res.status(200).json({
         success: true,
-        message: 'File uploaded and processing started',
-        data: savedReport,
+        message: 'File uploaded and processing queued',
+        data: { ...savedReport, jobId: job.id },
       });
     } catch (processingError) {
-      console.error('Error starting processing:', processingError);
+      console.error('Error queueing processing:', processingError);
       res.status(200).json({
         success: true,
         message: 'File uploaded successfully, but processing failed to start',
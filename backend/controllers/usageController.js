@@ -0,0 +1,75 @@
+const localStorage = require('../config/localStorage');
+const usageStorage = require('../config/usageStorage');
+const { summarizeUsage, groupUsage } = require('../utils/ai/usage');
+
+// Parse a `from`/`to` query date. A bare date (2025-01-31) covers the whole
+// day, so `to` moves to its last millisecond. Returns undefined when absent
+// and null when invalid.
+const parseDate = (value, endOfDay = false) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+// Token usage and cost of the current user's LLM calls.
+// Query: from, to (ISO dates, inclusive) and reportId, all optional.
+const getUsage = async (req, res) => {
+    try {
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to, true);
+        if (from === null || to === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be ISO 8601 dates, e.g. 2025-01-31'
+            });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'from must not be after to'
+            });
+        }
+
+        const records = await usageStorage.getRecords({
+            userId: req.user.id,
+            reportId: req.query.reportId || undefined,
+            from,
+            to
+        });
+
+        const { models, ...totals } = summarizeUsage(records);
+        const byReport = await Promise.all(
+            groupUsage(records, ({ reportId }) => ({ reportId })).map(async group => {
+                const report = group.reportId ? await localStorage.getReport(group.reportId) : null;
+                return { ...group, fileName: report ? report.fileName : null };
+            })
+        );
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: from ? from.toISOString() : null,
+                to: to ? to.toISOString() : null,
+                totals,
+                byStage: groupUsage(records, ({ stage }) => ({ stage })),
+                byReport,
+                byModel: models
+            }
+        });
+    } catch (error) {
+        console.error('Error retrieving usage:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving usage',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getUsage
+};
@@ -0,0 +1,198 @@
+const webhookStorage = require('../config/webhookStorage');
+const webhookDispatcher = require('../utils/webhooks/webhookDispatcher');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks/reportWebhooks');
+const { generateSecret } = require('../utils/webhooks/signature');
+
+// The secret is only returned when the webhook is created
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+// Look up a webhook owned by the current user, or send 404
+const findOwnWebhook = async (req, res) => {
+    await webhookStorage.init();
+    const webhook = await webhookStorage.getWebhook(req.params.webhookId);
+    if (!webhook || webhook.userId !== req.user.id) {
+        res.status(404).json({
+            success: false,
+            message: 'Webhook not found'
+        });
+        return null;
+    }
+    return webhook;
+};
+
+// Register a webhook. Body: { url, events?, description? }
+const createWebhook = async (req, res) => {
+    try {
+        const { url, events = WEBHOOK_EVENTS, description = '' } = req.body || {};
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            parsedUrl = null;
+        }
+        if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+            return res.status(400).json({
+                success: false,
+                message: 'url must be a valid http or https URL'
+            });
+        }
+
+        if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            return res.status(400).json({
+                success: false,
+                message: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`
+            });
+        }
+
+        await webhookStorage.init();
+        const webhook = await webhookStorage.createWebhook({
+            userId: req.user.id,
+            url: parsedUrl.toString(),
+            events: [...new Set(events)],
+            description: String(description),
+            secret: generateSecret()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered. Store the secret now; it will not be shown again.',
+            data: webhook
+        });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error registering webhook',
+            error: error.message
+        });
+    }
+};
+
+const listWebhooks = async (req, res) => {
+    try {
+        await webhookStorage.init();
+        const webhooks = await webhookStorage.getWebhooksByUserId(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: webhooks.map(publicWebhook)
+        });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving webhooks',
+            error: error.message
+        });
+    }
+};
+
+const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req, res);
+        if (!webhook) return;
+
+        await webhookStorage.deleteWebhook(webhook.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting webhook',
+            error: error.message
+        });
+    }
+};
+
+// Delivery log of a webhook, newest first. Query: ?status=pending|succeeded|failed&limit=50
+const listDeliveries = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req, res);
+        if (!webhook) return;
+
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const deliveries = (await webhookStorage.getDeliveriesByWebhookId(webhook.id))
+            .filter(delivery => !status || delivery.status === status)
+            .slice(0, limit);
+
+        res.status(200).json({
+            success: true,
+            data: deliveries
+        });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving webhook deliveries',
+            error: error.message
+        });
+    }
+};
+
+const getDelivery = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery = await webhookStorage.getDelivery(req.params.deliveryId);
+        if (!delivery || delivery.webhookId !== webhook.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: delivery
+        });
+    } catch (error) {
+        console.error('Error retrieving webhook delivery:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrieving webhook delivery',
+            error: error.message
+        });
+    }
+};
+
+// Send a signed "ping" event, e.g. to check a receiver is set up correctly
+const testWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery = await webhookDispatcher.send(webhook, 'ping', {
+            webhookId: webhook.id,
+            message: 'Test delivery'
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Test delivery queued',
+            data: { deliveryId: delivery.id }
+        });
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error sending test delivery',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    testWebhook
+};
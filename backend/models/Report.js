@@ -16,17 +16,21 @@ const ReportSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['uploaded', 'processing', 'completed', 'failed'],
+        enum: ['uploaded', 'processing', 'completed', 'failed', 'cancelled'],
         default: 'uploaded',
     },
     fileUrl: {
         type: String,
         required: true,
     },
+    // Uploading user; webhook notifications go to this user's webhooks
+    userId: String,
     metadata: {
         companyName: String,
         fiscalYear: String,
         documentType: String,
+        // Locale of the document's numbers and dates, when set on upload
+        locale: String,
     },
     extractedData: {
         rawText: String,
@@ -6,6 +6,9 @@ const ResultSchema = new mongoose.Schema({
         ref: 'Report',
         required: true,
     },
+    // Provider and model that actually produced the result ('local' and
+    // 'rule-based' when no LLM was used)
+    provider: String,
     modelName: {
         type: String,
         required: true,
@@ -15,11 +18,116 @@ const ResultSchema = new mongoose.Schema({
         enum: ['FinNI', 'FinCL'],
         required: true,
     },
+    // Pipeline run that produced the result; each run of a report is numbered
+    jobId: String,
+    runNumber: Number,
+    finniResultId: String,
+    runOptions: {
+        provider: String,
+        model: String,
+        promptVersion: String,
+        taxonomy: String,
+        extractionMode: String,
+        noCache: Boolean,
+    },
+    // Distinct contexts (periods and dimensions) the predictions refer to by contextId
+    contexts: [{
+        id: String,
+        periodType: String,
+        startDate: String,
+        endDate: String,
+        dimensions: [{ axis: String, member: String }],
+    }],
+    // ISO 4217 code of the currency the document reports in (FinNI)
+    reportingCurrency: String,
+    // Locale the document's numbers and dates were read in (FinNI), e.g. de-DE
+    locale: String,
+    // Hash of the prompt templates of runOptions.promptVersion (utils/ai/prompts)
+    promptChecksum: String,
+    // LLM calls (chunks or batches) answered from the response cache
+    cache: {
+        hits: Number,
+        misses: Number,
+    },
+    // Schema validation of LLM answers: repair prompts sent, and items
+    // dropped after them, by reason
+    validation: {
+        repairPrompts: Number,
+        droppedItems: Number,
+        dropReasons: [{
+            reason: String,
+            count: Number,
+        }],
+    },
+    // Agreement of the LLM and rule-based entities (ensemble extraction mode)
+    ensemble: {
+        agreed: Number,
+        llmOnly: Number,
+        ruleOnly: Number,
+        possiblyMissed: Number,
+        possibleHallucinations: Number,
+    },
+    // Tokens and cost of the LLM calls that produced the result
+    usage: {
+        calls: Number,
+        inputTokens: Number,
+        outputTokens: Number,
+        totalTokens: Number,
+        cost: Number,
+        unpricedCalls: Number,
+        currency: String,
+        models: [{
+            provider: String,
+            model: String,
+            calls: Number,
+            inputTokens: Number,
+            outputTokens: Number,
+            totalTokens: Number,
+            cost: Number,
+            unpricedCalls: Number,
+        }],
+    },
     results: {
         predictions: [{
             value: String,
+            // The value as written ("$(1,234)") and as an XBRL fact states it:
+            // signed numericValue with the scale applied, scale and decimals as
+            // powers of ten, sign '-' or '+'
+            rawText: String,
+            numericValue: Number,
+            decimals: Number,
+            scale: Number,
+            sign: String,
+            // Period as stated ('Three Months Ended June 30, 2025') and as
+            // resolved: instant or duration, ISO dates, and the shared context
+            period: String,
+            periodType: String,
+            startDate: String,
+            endDate: String,
+            contextId: String,
+            // Breakdown the fact is part of (FinNI), e.g. { kind: 'geography',
+            // member: 'Americas', lineItem: 'Revenue' }, and its XBRL
+            // dimensions (FinCL, or the source inline XBRL), e.g.
+            // [{ axis: 'srt:StatementGeographicalAxis', member: 'srt:AmericasMember' }]
+            breakdown: {
+                kind: String,
+                member: String,
+                lineItem: String,
+            },
+            dimensions: [{ axis: String, member: String }],
             entityType: String,
+            // XBRL item type: monetaryItemType, perShareItemType, sharesItemType,
+            // percentItemType, pureItemType, integerItemType or dateItemType
+            itemType: String,
+            // ISO 4217 currency of amounts, and the XBRL unit ID the fact is
+            // reported in: iso4217:JPY, iso4217:USD/shares, shares or pure
+            currency: String,
+            unitId: String,
             confidence: Number,
+            // 'llm', 'rules', 'llm+rules', 'table' or 'ixbrl'
+            source: String,
+            // e.g. possibly_missed_by_llm, possible_hallucination
+            flags: [String],
             location: {
                 pageNum: Number,
                 coordinates: {
@@ -28,6 +136,8 @@ const ResultSchema = new mongoose.Schema({
                     width: Number,
                     height: Number,
                 },
+                // Paragraph or table-cell anchor for formats without page geometry
+                anchor: Object,
             },
             xbrlTag: {
                 concept: String,
@@ -42,6 +152,18 @@ const ResultSchema = new mongoose.Schema({
             accuracy: Number,
         },
     },
+    coverage: {
+        totalChunks: Number,
+        processedChunks: Number,
+        failedChunks: [{
+            index: Number,
+            start: Number,
+            end: Number,
+            section: String,
+            error: String,
+            fallback: String,
+        }],
+    },
     processingTime: Number,
     createdAt: {
         type: Date,
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const localStorage = require('../config/localStorage');
+const { getReportExport } = require('../controllers/exportController');
+const { cancelReport, retryReport, rerunReport } = require('../controllers/runController');
+const authMiddleware = require('../middleware/auth');
 
 router.get('/:reportId', async (req, res) => {
     try {
@@ -33,4 +36,11 @@ router.get('/:reportId', async (req, res) => {
     }
 });
 
+router.get('/:reportId/export', getReportExport);
+
+// Processing control
+router.post('/:reportId/cancel', authMiddleware, cancelReport);
+router.post('/:reportId/retry', authMiddleware, retryReport);
+router.post('/:reportId/rerun', authMiddleware, rerunReport);
+
 module.exports = router;
\ No newline at end of file
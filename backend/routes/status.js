@@ -1,6 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const localStorage = require('../config/localStorage');
+const jobQueue = require('../utils/jobs/jobQueue');
+const reportEvents = require('../utils/jobs/reportEvents');
+const { STAGE_LABELS, summarizeStages, isJobActive } = require('../utils/jobs/jobStatus');
+const authMiddleware = require('../middleware/auth');
+
+// Interval between keep-alive comments on open event streams
+const HEARTBEAT_MS = 15000;
+
+// EventSource cannot send headers, so the stream also accepts ?token=
+const streamAuth = (req, res, next) => {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authMiddleware(req, res, next);
+};
 
 // Get processing status
 router.get('/:reportId/status', async (req, res) => {
@@ -18,13 +33,19 @@ router.get('/:reportId/status', async (req, res) => {
 
         // Get results if any
         const results = await localStorage.getResultsByReportId(reportId);
+
+        // Per-stage progress comes from the report's latest processing job
+        const job = jobQueue.getLatestJob(reportId);
         
         res.status(200).json({
             success: true,
             data: {
                 status: report.status,
+                jobId: job ? job.id : null,
+                currentStage: job ? job.currentStage : null,
+                stages: job ? summarizeStages(job) : null,
                 results: results.length > 0 ? results : null,
-                message: getStatusMessage(report.status)
+                message: getStatusMessage(report.status, job)
             }
         });
     } catch (error) {
@@ -37,16 +58,125 @@ router.get('/:reportId/status', async (req, res) => {
     }
 });
 
-function getStatusMessage(status) {
+// Live status stream (Server-Sent Events). Sends a snapshot, or the events
+// missed since Last-Event-ID, then stage, progress and result events until
+// the report reaches a terminal state.
+router.get('/:reportId/events', streamAuth, async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await localStorage.getReport(reportId);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const send = (event) => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        };
+
+        let closed = false;
+        let heartbeat = null;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            reportEvents.removeListener(reportId, onEvent);
+            res.end();
+        };
+        const onEvent = (event) => {
+            send(event);
+            if (event.type === 'done') close();
+        };
+
+        // Subscribe before reading state so nothing slips between the two
+        reportEvents.on(reportId, onEvent);
+        heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        req.on('close', close);
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const missed = lastEventId ? reportEvents.eventsSince(reportId, lastEventId) : null;
+        if (missed) {
+            missed.forEach(onEvent);
+            if (closed) return;
+        } else {
+            const job = jobQueue.getLatestJob(reportId);
+            send({
+                id: reportEvents.lastEventId(reportId),
+                type: 'snapshot',
+                data: {
+                    reportId,
+                    status: report.status,
+                    jobId: job ? job.id : null,
+                    currentStage: job ? job.currentStage : null,
+                    stages: job ? summarizeStages(job) : null,
+                    finniResultId: job ? job.data.finniResultId || null : null,
+                    finclResultId: job ? job.data.finclResultId || null : null
+                }
+            });
+        }
+
+        // Nothing more will happen for a finished report
+        const job = jobQueue.getLatestJob(reportId);
+        const finished = job
+            ? !isJobActive(job)
+            : ['completed', 'failed', 'cancelled'].includes(report.status);
+        if (finished) {
+            send({
+                id: reportEvents.lastEventId(reportId),
+                type: 'done',
+                data: {
+                    reportId,
+                    status: job ? job.status : report.status,
+                    finniResultId: job ? job.data.finniResultId || null : null,
+                    finclResultId: job ? job.data.finclResultId || null : null
+                }
+            });
+            close();
+        }
+    } catch (error) {
+        console.error('Error streaming status:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Error streaming processing status',
+                error: error.message
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+function getStatusMessage(status, job) {
     switch (status) {
         case 'uploaded':
             return 'Document uploaded, waiting to start processing...';
         case 'processing':
+            if (job && STAGE_LABELS[job.currentStage]) {
+                return `${STAGE_LABELS[job.currentStage]}...`;
+            }
             return 'Processing document...';
         case 'completed':
             return 'Processing completed successfully';
         case 'failed':
+            if (job && job.stages[job.currentStage] && job.stages[job.currentStage].error) {
+                return `Processing failed during ${STAGE_LABELS[job.currentStage] || job.currentStage}: ${job.stages[job.currentStage].error.message}`;
+            }
             return 'Processing failed';
+        case 'cancelled':
+            return 'Processing cancelled';
         default:
             return 'Unknown status';
     }
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getUsage } = require('../controllers/usageController');
+const authMiddleware = require('../middleware/auth');
+
+router.use(authMiddleware);
+
+router.get('/', getUsage);
+
+module.exports = router;
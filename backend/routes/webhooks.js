@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    testWebhook
+} = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/auth');
+
+router.use(authMiddleware);
+
+router.post('/', createWebhook);
+router.get('/', listWebhooks);
+router.delete('/:webhookId', deleteWebhook);
+router.get('/:webhookId/deliveries', listDeliveries);
+router.get('/:webhookId/deliveries/:deliveryId', getDelivery);
+router.post('/:webhookId/test', testWebhook);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// Local webhook receiver for trying out webhook deliveries.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js
+//
+// Register http://localhost:4000/webhook as a webhook URL, then upload a
+// report or POST /api/webhooks/:id/test. Each delivery is logged with the
+// result of the signature check. Set FAIL_FIRST=n to answer the first n
+// deliveries with a 500, to watch the retries.
+const http = require('http');
+const { verifySignature } = require('../utils/webhooks/signature');
+
+const PORT = parseInt(process.env.PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+
+if (!SECRET) {
+    console.warn('WEBHOOK_SECRET is not set; signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const verified = SECRET
+            ? verifySignature(SECRET, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])
+            : null;
+
+        console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+        console.log(`event=${req.headers['x-webhook-event']} delivery=${req.headers['x-webhook-delivery']} signature=${verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID'}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch {
+            console.log(body);
+        }
+
+        if (verified === false) {
+            res.writeHead(401);
+            return res.end('invalid signature');
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            res.writeHead(500);
+            return res.end('simulated failure');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: true }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/webhook`);
+});
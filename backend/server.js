@@ -12,33 +12,30 @@ const finclRoutes = require('./routes/fincl');
 const evaluateRoutes = require('./routes/evaluate');
 const reportRoutes = require('./routes/reports');
 const statusRoutes = require('./routes/status');
+const webhookRoutes = require('./routes/webhooks');
+const usageRoutes = require('./routes/usage');
 
 // Import storage services
 const authStorage = require('./config/authStorage');
+const usageStorage = require('./config/usageStorage');
 const emailService = require('./utils/emailService');
+const { startPipeline } = require('./utils/jobs/pipeline');
+const webhookDispatcher = require('./utils/webhooks/webhookDispatcher');
+const { listProviders, getDefaultProviderName } = require('./utils/ai/providerRegistry');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-// Verify environment variables
-if (!process.env.GEMINI_API_KEY && !process.env.OPENAI_API_KEY) {
-    console.error('⚠️  WARNING: Neither GEMINI_API_KEY nor OPENAI_API_KEY is set in environment variables');
-    console.error('📝 Please create a .env file in the backend directory with your API keys');
-    console.error('📖 See backend/SETUP.md for detailed instructions');
-    console.error('');
-    console.error('Example .env file:');
-    console.error('GEMINI_API_KEY=your_gemini_api_key_here');
-    console.error('OPENAI_API_KEY=your_openai_api_key_here');
-    console.error('');
-    process.exit(1);
-}
-
-// Log which AI services are available
-if (process.env.GEMINI_API_KEY) {
-    console.log('✓ Gemini API configured');
-}
-if (process.env.OPENAI_API_KEY) {
-    console.log('✓ OpenAI API configured');
+// Log which AI services are available. Without any, reports are still
+// processed with the rule-based extractor and mapper.
+const configuredProviders = listProviders().filter(provider => provider.configured);
+configuredProviders.forEach(provider => {
+    console.log(`✓ ${provider.label} configured (default model ${provider.defaultModel})`);
+});
+if (configuredProviders.length > 0) {
+    console.log(`✓ Default LLM provider: ${getDefaultProviderName()}`);
+} else {
+    console.warn('⚠️  No LLM provider configured (GEMINI_API_KEY, OPENAI_API_KEY, OPENAI_COMPATIBLE_BASE_URL or OLLAMA_MODEL); using rule-based extraction only');
 }
 
 // Initialize express
@@ -82,6 +79,8 @@ app.use('/api/fincl', finclRoutes);
 app.use('/api/evaluate', evaluateRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/status', statusRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -100,6 +99,9 @@ const startServer = async () => {
     try {
         await authStorage.init();
         await emailService.init();
+        await webhookDispatcher.init();
+        await usageStorage.init();
+        await startPipeline();
         console.log('✅ Storage and services initialized');
         
         app.listen(PORT, () => {
@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Thrown in replay mode when a request was never recorded. Callers must not
+// fall back to rules on it, or a test would pass on the wrong answers.
+class FixtureMissError extends Error {
+    constructor(request, file) {
+        super(`No recorded LLM response for ${request.provider} (${request.model}) in ${file}. ` +
+            'Record it again with LLM_FIXTURE_MODE=record');
+        this.name = 'FixtureMissError';
+        this.code = 'LLM_FIXTURE_MISSING';
+        this.retryable = false;
+    }
+}
+
+/**
+ * Record/replay of provider calls, for running FinNI and FinCL without API
+ * keys or network access.
+ *
+ * LLM_FIXTURE_MODE=record sends requests to the providers as usual and writes
+ * each request and response to LLM_FIXTURE_DIR/<provider>/<hash>.json.
+ * LLM_FIXTURE_MODE=replay answers from those files only: providers count as
+ * configured without keys, nothing is sent, and a request that was not
+ * recorded throws FixtureMissError.
+ */
+class LlmFixtures {
+    get mode() {
+        const mode = process.env.LLM_FIXTURE_MODE;
+        return mode === 'record' || mode === 'replay' ? mode : null;
+    }
+
+    get recording() {
+        return this.mode === 'record';
+    }
+
+    get replaying() {
+        return this.mode === 'replay';
+    }
+
+    get dir() {
+        return path.resolve(process.env.LLM_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'llm'));
+    }
+
+    // The request exactly as sent to the provider
+    fileFor({ provider, model, prompt, temperature, maxOutputTokens }) {
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([provider, model, temperature, maxOutputTokens, prompt]))
+            .digest('hex');
+        return path.join(this.dir, provider, `${hash}.json`);
+    }
+
+    async record(request, response) {
+        const file = this.fileFor(request);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const fixture = {
+            request,
+            response: { text: response.text, usage: response.usage },
+            recordedAt: new Date().toISOString()
+        };
+        await fs.writeFile(file, JSON.stringify(fixture, null, 2), 'utf8');
+    }
+
+    async replay(request) {
+        const file = this.fileFor(request);
+        try {
+            const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+            return fixture.response;
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new FixtureMissError(request, file);
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    llmFixtures: new LlmFixtures(),
+    FixtureMissError
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Token prices per provider and model, from config/llmPrices.json or the file
+// named by LLM_PRICES_FILE. Prices are in `currency` per `per` tokens; a model
+// matches the longest listed name it starts with (so dated versions such as
+// gpt-4o-mini-2024-07-18 are priced as gpt-4o-mini), and "*" covers every
+// other model of a provider.
+const DEFAULT_PRICES_FILE = path.join(__dirname, '..', '..', 'config', 'llmPrices.json');
+
+let loaded = { file: null, table: null };
+
+const getPriceTable = () => {
+    const file = path.resolve(process.env.LLM_PRICES_FILE || DEFAULT_PRICES_FILE);
+    if (loaded.file !== file) {
+        loaded = { file, table: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+    return loaded.table;
+};
+
+// { input, output } price for the provider's model, or null if it is not listed
+const findPrice = (provider, model) => {
+    const models = getPriceTable().prices[provider];
+    if (!models) return null;
+
+    const name = (model || '').replace(/^models\//, '');
+    const match = Object.keys(models)
+        .filter(listed => listed !== '*' && name.startsWith(listed))
+        .sort((a, b) => b.length - a.length)[0];
+    return models[match || '*'] || null;
+};
+
+/**
+ * Cost of one call, in the table's currency, or null when the model has no
+ * price (the tokens are still counted, but the cost is unknown).
+ */
+const costOf = (provider, model, { inputTokens = 0, outputTokens = 0 }) => {
+    const price = findPrice(provider, model);
+    if (!price) return null;
+    const per = getPriceTable().per || 1000000;
+    return (inputTokens * price.input + outputTokens * price.output) / per;
+};
+
+const getCurrency = () => getPriceTable().currency || 'USD';
+
+module.exports = {
+    findPrice,
+    costOf,
+    getCurrency
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Prompt templates, one directory per version: prompts/<version>/<name>.txt,
+// with {{variable}} placeholders, and optional few-shot examples for the same
+// prompt in <name>.examples.json ([{ input, output }]), rendered where the
+// template has {{examples}}. A published version must not be edited, so that
+// results that record it can be reproduced; copy it to a new version instead.
+const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+const DEFAULT_PROMPT_VERSION = 'v3';
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+// Loaded files, by version and file name
+const fileCache = new Map();
+
+const readPromptFile = (version, fileName) => {
+    const key = `${version}/${fileName}`;
+    if (!fileCache.has(key)) {
+        const filePath = path.join(PROMPTS_DIR, version, fileName);
+        fileCache.set(key, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return fileCache.get(key);
+};
+
+// Versions available in the prompts directory, sorted
+const listPromptVersions = () => {
+    if (!fs.existsSync(PROMPTS_DIR)) return [];
+    return fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+// Version used when a run does not ask for one: PROMPT_VERSION, or v3
+const getDefaultPromptVersion = () => {
+    const version = process.env.PROMPT_VERSION;
+    if (version && listPromptVersions().includes(version)) return version;
+    if (version) {
+        console.warn(`Prompt version "${version}" not found in ${PROMPTS_DIR}, using ${DEFAULT_PROMPT_VERSION}`);
+    }
+    return DEFAULT_PROMPT_VERSION;
+};
+
+// Short hash of every file of a version, stored on results so a run can be
+// matched with the exact templates it used
+const promptChecksum = (version) => {
+    const dir = path.join(PROMPTS_DIR, version);
+    if (!fs.existsSync(dir)) return null;
+    const hash = crypto.createHash('sha256');
+    fs.readdirSync(dir).sort().forEach(fileName => {
+        hash.update(fileName).update('\0').update(readPromptFile(version, fileName) || '').update('\0');
+    });
+    return hash.digest('hex').slice(0, 12);
+};
+
+const renderExamples = (examples) => examples.map((example, i) =>
+    `Example ${i + 1}\nInput:\n${example.input}\nOutput:\n${JSON.stringify(example.output, null, 2)}`
+).join('\n\n');
+
+/**
+ * Render prompt `name` of `version` with `variables`. The file's final newline
+ * is not part of the prompt. Throws if the template does not exist or uses a
+ * variable that was not given.
+ */
+const renderPrompt = (version, name, variables = {}) => {
+    const template = readPromptFile(version, `${name}.txt`);
+    if (template === null) {
+        throw new Error(`Prompt "${name}" not found for prompt version "${version}"`);
+    }
+
+    const examplesFile = readPromptFile(version, `${name}.examples.json`);
+    const values = {
+        examples: examplesFile ? renderExamples(JSON.parse(examplesFile)) : '',
+        ...variables
+    };
+
+    // One pass, so placeholders inside the values (e.g. document text) stay as they are
+    return template.replace(/\n$/, '').replace(PLACEHOLDER, (placeholder, variable) => {
+        if (values[variable] === undefined) {
+            throw new Error(`Prompt "${version}/${name}" needs variable "${variable}"`);
+        }
+        return String(values[variable]);
+    });
+};
+
+module.exports = {
+    DEFAULT_PROMPT_VERSION,
+    listPromptVersions,
+    getDefaultPromptVersion,
+    promptChecksum,
+    renderPrompt
+};
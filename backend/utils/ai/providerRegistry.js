@@ -0,0 +1,121 @@
+const gemini = require('./providers/gemini');
+const { openai, openaiCompatible } = require('./providers/openai');
+const ollama = require('./providers/ollama');
+const { rateLimiter, estimateTokens } = require('./rateLimiter');
+const { llmFixtures } = require('./fixtures');
+
+/**
+ * Registry of LLM providers used by FinNI and FinCL.
+ *
+ * A provider is { name, label, defaultModel, isConfigured(), generate(request) }
+ * where generate({ prompt, model, temperature, maxOutputTokens }) resolves to
+ * { text, usage: { inputTokens, outputTokens, totalTokens } }. Providers with a
+ * limited `contextWindow` (tokens) get prompts and output sized to fit it.
+ *
+ * The provider comes from the request (run options) or LLM_PROVIDER, and
+ * otherwise the first configured one in registration order. Every call goes
+ * through the shared rate limiter, and can be recorded to or replayed from
+ * fixture files (see ./fixtures).
+ */
+const providers = new Map();
+
+// Smallest answer budget worth sending a prompt for
+const MIN_OUTPUT_TOKENS = 256;
+
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+registerProvider(gemini);
+registerProvider(openai);
+registerProvider(openaiCompatible);
+registerProvider(ollama);
+
+const getProvider = (name) => providers.get(name) || null;
+
+// Replayed providers need no keys
+const isConfigured = (provider) => llmFixtures.replaying || provider.isConfigured();
+
+const isProviderConfigured = (name) => {
+    const provider = getProvider(name);
+    return Boolean(provider && isConfigured(provider));
+};
+
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: isConfigured(provider),
+    defaultModel: provider.defaultModel,
+    contextWindow: provider.contextWindow || null
+}));
+
+// Context window of a provider in tokens, or null if it is not limited
+const getContextWindow = (name) => {
+    const provider = getProvider(name || getDefaultProviderName());
+    return (provider && provider.contextWindow) || null;
+};
+
+// Provider used when a run does not ask for one, or null if none is configured
+const getDefaultProviderName = () => {
+    const configured = process.env.LLM_PROVIDER;
+    if (configured && providers.has(configured)) return configured;
+    const first = Array.from(providers.values()).find(isConfigured);
+    return first ? first.name : null;
+};
+
+/**
+ * Send `prompt` to a provider. Resolves to
+ * { text, usage, provider, model } naming the provider and model that
+ * actually answered. The call's tokens are added to `usage` (a tracker from
+ * ./usage) when one is given.
+ */
+const generate = async ({ provider: providerName, model, prompt, temperature = 0.1, maxOutputTokens = 8192, usage }) => {
+    const name = providerName || getDefaultProviderName();
+    const provider = name ? getProvider(name) : null;
+    if (!provider) {
+        throw new Error(name ? `Unknown LLM provider "${name}"` : 'No LLM provider is configured');
+    }
+    if (!isConfigured(provider)) {
+        throw new Error(`LLM provider "${name}" is not configured`);
+    }
+
+    const modelName = model || provider.defaultModel;
+    const promptTokens = estimateTokens(prompt);
+
+    // Leave the rest of a limited context window for the answer
+    let outputTokens = maxOutputTokens;
+    if (provider.contextWindow) {
+        const room = provider.contextWindow - promptTokens;
+        if (room < MIN_OUTPUT_TOKENS) {
+            throw new Error(`Prompt of about ${promptTokens} tokens does not fit the ${provider.contextWindow}-token context window of ${name}`);
+        }
+        outputTokens = Math.min(maxOutputTokens, room);
+    }
+
+    const request = { provider: name, model: modelName, prompt, temperature, maxOutputTokens: outputTokens };
+    if (llmFixtures.replaying) {
+        const recorded = await llmFixtures.replay(request);
+        if (usage) await usage.record(name, modelName, recorded.usage);
+        return { ...recorded, provider: name, model: modelName };
+    }
+
+    const response = await rateLimiter.schedule(name, {
+        tokens: promptTokens,
+        countTokens: result => result.usage.totalTokens
+    }, () => provider.generate({ prompt, model: modelName, temperature, maxOutputTokens: outputTokens }));
+
+    if (llmFixtures.recording) await llmFixtures.record(request, response);
+    if (usage) await usage.record(name, modelName, response.usage);
+
+    return { ...response, provider: name, model: modelName };
+};
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    isProviderConfigured,
+    getDefaultProviderName,
+    getContextWindow,
+    generate
+};
@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini through the official SDK
+module.exports = {
+    name: 'gemini',
+    label: 'Google Gemini',
+
+    get defaultModel() {
+        return process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+    },
+
+    isConfigured() {
+        return Boolean(process.env.GEMINI_API_KEY);
+    },
+
+    async generate({ prompt, model, temperature, maxOutputTokens }) {
+        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        const client = genAI.getGenerativeModel({
+            model: model.startsWith('models/') ? model : `models/${model}`,
+            generationConfig: {
+                temperature,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens
+            }
+        });
+
+        const result = await client.generateContent(prompt);
+        const response = await result.response;
+        const usage = response.usageMetadata || {};
+        return {
+            text: response.text(),
+            usage: {
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            }
+        };
+    }
+};
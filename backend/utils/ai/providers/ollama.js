@@ -0,0 +1,64 @@
+const fetch = require('node-fetch');
+
+// Self-hosted models served by Ollama (or anything speaking its /api/chat API).
+// Nothing leaves the configured host.
+module.exports = {
+    name: 'ollama',
+    label: 'Ollama',
+
+    get baseUrl() {
+        return (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    },
+
+    get defaultModel() {
+        return process.env.OLLAMA_MODEL || null;
+    },
+
+    // Tokens the model is run with (Ollama's num_ctx); prompts and output must fit
+    get contextWindow() {
+        return parseInt(process.env.OLLAMA_CONTEXT_WINDOW, 10) || 8192;
+    },
+
+    // Constrain output to valid JSON (Ollama's format: "json")
+    get jsonMode() {
+        return process.env.OLLAMA_JSON_MODE !== 'false';
+    },
+
+    isConfigured() {
+        return Boolean(process.env.OLLAMA_MODEL);
+    },
+
+    async generate({ prompt, model, temperature, maxOutputTokens }) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: false,
+                ...(this.jsonMode ? { format: 'json' } : {}),
+                options: {
+                    temperature,
+                    top_p: 0.95,
+                    num_ctx: this.contextWindow,
+                    num_predict: maxOutputTokens
+                }
+            }),
+            timeout: parseInt(process.env.OLLAMA_TIMEOUT_MS, 10) || 600000
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Ollama request failed with status ${response.status}: ${(await response.text()).slice(0, 300)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        const inputTokens = data.prompt_eval_count || 0;
+        const outputTokens = data.eval_count || 0;
+        return {
+            text: (data.message && data.message.content) || '',
+            usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+        };
+    }
+};
@@ -0,0 +1,82 @@
+const { OpenAI } = require('openai');
+
+// Chat completions against OpenAI or any server speaking the same API
+// (vLLM, LM Studio, llama.cpp, Ollama's /v1, ...) at a custom base URL.
+// <ENV>_CONTEXT_WINDOW (tokens) and <ENV>_JSON_MODE=true|false override the
+// provider's defaults.
+const createOpenAIProvider = ({ name, label, env, defaultModel, jsonMode }) => ({
+    name,
+    label,
+
+    get defaultModel() {
+        return process.env[`${env}_MODEL`] || defaultModel;
+    },
+
+    // null when the window is large enough not to matter
+    get contextWindow() {
+        return parseInt(process.env[`${env}_CONTEXT_WINDOW`], 10) || null;
+    },
+
+    // Ask for a JSON object response (response_format: json_object)
+    get jsonMode() {
+        const setting = process.env[`${env}_JSON_MODE`];
+        return setting === undefined || setting === '' ? jsonMode : setting === 'true';
+    },
+
+    isConfigured() {
+        return name === 'openai'
+            ? Boolean(process.env.OPENAI_API_KEY)
+            : Boolean(process.env[`${env}_BASE_URL`] && this.defaultModel);
+    },
+
+    async generate({ prompt, model, temperature, maxOutputTokens }) {
+        const client = new OpenAI({
+            // Local servers usually accept any key
+            apiKey: process.env[`${env}_API_KEY`] || 'not-needed',
+            baseURL: process.env[`${env}_BASE_URL`] || undefined,
+            maxRetries: 0 // retries are handled by the callers and the rate limiter
+        });
+
+        const completion = await client.chat.completions.create({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature,
+            top_p: 0.95,
+            max_tokens: maxOutputTokens,
+            ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+        });
+
+        const usage = completion.usage || {};
+        return {
+            text: completion.choices[0].message.content || '',
+            usage: {
+                inputTokens: usage.prompt_tokens || 0,
+                outputTokens: usage.completion_tokens || 0,
+                totalTokens: usage.total_tokens || 0
+            }
+        };
+    }
+});
+
+const openai = createOpenAIProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    env: 'OPENAI',
+    defaultModel: 'gpt-4o-mini',
+    jsonMode: true
+});
+
+// Self-hosted servers; needs OPENAI_COMPATIBLE_BASE_URL and OPENAI_COMPATIBLE_MODEL
+const openaiCompatible = createOpenAIProvider({
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible',
+    env: 'OPENAI_COMPATIBLE',
+    defaultModel: null,
+    jsonMode: false
+});
+
+module.exports = {
+    createOpenAIProvider,
+    openai,
+    openaiCompatible
+};
@@ -0,0 +1,169 @@
+// Shared limiter for LLM provider calls.
+//
+// Every call to a provider goes through schedule(), which holds it in a FIFO
+// queue until the provider is under all of its limits:
+//   - requests per minute   <PROVIDER>_RPM            (default LLM_RPM, 60)
+//   - tokens per minute     <PROVIDER>_TPM            (default LLM_TPM, 1000000)
+//   - requests in flight    <PROVIDER>_MAX_IN_FLIGHT  (default LLM_MAX_IN_FLIGHT, 4)
+// e.g. GEMINI_RPM=10. Limits are shared by all reports processed at once.
+//
+// When a provider still answers with a quota error (HTTP 429), the provider is
+// paused (honouring Retry-After when given) and the call is queued again, up
+// to LLM_RATE_LIMIT_RETRIES times, instead of failing.
+
+const WINDOW_MS = 60 * 1000;
+
+const readLimit = (provider, name, fallback) => {
+    const value = parseInt(process.env[`${provider.toUpperCase()}_${name}`], 10) ||
+        parseInt(process.env[`LLM_${name}`], 10);
+    return value > 0 ? value : fallback;
+};
+
+// Rough token count of a prompt (about four characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const isRateLimitError = (error) => {
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    return status === 429 || /\b429\b|RESOURCE_EXHAUSTED|rate limit|quota/i.test(error.message || '');
+};
+
+// Delay requested by the provider, in milliseconds, if it sent one
+const retryAfterMs = (error) => {
+    const headers = error.headers || (error.response && error.response.headers);
+    const header = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    if (header && !Number.isNaN(Number(header))) return Number(header) * 1000;
+
+    // Gemini reports it in the error details as "retryDelay": "17s"
+    const match = /retry(?:Delay)?["\s:]+(\d+(?:\.\d+)?)s/i.exec(error.message || '');
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+};
+
+class RateLimiter {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    get maxRateLimitRetries() {
+        const value = parseInt(process.env.LLM_RATE_LIMIT_RETRIES, 10);
+        return Number.isNaN(value) ? 5 : value;
+    }
+
+    bucket(provider) {
+        if (!this.providers.has(provider)) {
+            this.providers.set(provider, {
+                queue: [],
+                inFlight: 0,
+                window: [], // { at, tokens } of calls started in the last minute
+                pausedUntil: 0,
+                timer: null
+            });
+        }
+        return this.providers.get(provider);
+    }
+
+    limits(provider) {
+        return {
+            rpm: readLimit(provider, 'RPM', 60),
+            tpm: readLimit(provider, 'TPM', 1000000),
+            maxInFlight: readLimit(provider, 'MAX_IN_FLIGHT', 4)
+        };
+    }
+
+    /**
+     * Run `call()` against `provider` once its limits allow, resolving or
+     * rejecting with the call's outcome. `tokens` is the expected token use;
+     * `countTokens(result)` may return the actual use to replace it.
+     */
+    schedule(provider, { tokens = 0, countTokens = null } = {}, call) {
+        return new Promise((resolve, reject) => {
+            this.bucket(provider).queue.push({ tokens, countTokens, call, resolve, reject, rateLimitRetries: 0 });
+            this.pump(provider);
+        });
+    }
+
+    // Current usage and limits, for logging and diagnostics
+    stats() {
+        const now = Date.now();
+        return Object.fromEntries(Array.from(this.providers.entries()).map(([provider, bucket]) => {
+            const window = bucket.window.filter(entry => entry.at > now - WINDOW_MS);
+            return [provider, {
+                limits: this.limits(provider),
+                queued: bucket.queue.length,
+                inFlight: bucket.inFlight,
+                requestsLastMinute: window.length,
+                tokensLastMinute: window.reduce((sum, entry) => sum + entry.tokens, 0),
+                pausedUntil: bucket.pausedUntil > now ? new Date(bucket.pausedUntil).toISOString() : null
+            }];
+        }));
+    }
+
+    // Start queued calls while the provider is under its limits; otherwise
+    // wake up when the oldest call leaves the window or the pause ends
+    pump(provider) {
+        const bucket = this.bucket(provider);
+        const { rpm, tpm, maxInFlight } = this.limits(provider);
+
+        if (bucket.timer) clearTimeout(bucket.timer);
+        bucket.timer = null;
+
+        while (bucket.queue.length > 0) {
+            const now = Date.now();
+            bucket.window = bucket.window.filter(entry => entry.at > now - WINDOW_MS);
+            if (bucket.inFlight >= maxInFlight) return; // resumed when a call finishes
+
+            const usedTokens = bucket.window.reduce((sum, entry) => sum + entry.tokens, 0);
+            const next = bucket.queue[0];
+            // A single call larger than the whole budget may still run alone
+            const tokensFit = usedTokens + next.tokens <= tpm || bucket.window.length === 0;
+            let waitUntil = 0;
+            if (bucket.pausedUntil > now) {
+                waitUntil = bucket.pausedUntil;
+            } else if (bucket.window.length >= rpm || !tokensFit) {
+                waitUntil = bucket.window[0].at + WINDOW_MS;
+            }
+            if (waitUntil) {
+                bucket.timer = setTimeout(() => this.pump(provider), Math.max(waitUntil - now, 10));
+                return;
+            }
+
+            bucket.queue.shift();
+            this.start(provider, next);
+        }
+    }
+
+    async start(provider, item) {
+        const bucket = this.bucket(provider);
+        const entry = { at: Date.now(), tokens: item.tokens };
+        bucket.window.push(entry);
+        bucket.inFlight++;
+
+        try {
+            const result = await item.call();
+            const actualTokens = item.countTokens ? item.countTokens(result) : null;
+            if (actualTokens) entry.tokens = actualTokens;
+            item.resolve(result);
+        } catch (error) {
+            if (isRateLimitError(error) && item.rateLimitRetries < this.maxRateLimitRetries) {
+                item.rateLimitRetries++;
+                const delay = retryAfterMs(error) || 1000 * Math.pow(2, item.rateLimitRetries);
+                bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+                console.warn(`${provider} rate limit hit, pausing for ${delay}ms (retry ${item.rateLimitRetries}/${this.maxRateLimitRetries})`);
+                // Retried ahead of calls that have not started yet
+                bucket.queue.unshift(item);
+            } else {
+                item.reject(error);
+            }
+        } finally {
+            bucket.inFlight--;
+            this.pump(provider);
+        }
+    }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+    rateLimiter,
+    estimateTokens,
+    isRateLimitError
+};
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { llmFixtures } = require('./fixtures');
+
+/**
+ * Content-addressed cache of LLM answers, one file per entry in
+ * data/llm-cache. An entry is keyed on provider, model, prompt version and
+ * prompt text, so re-running a document with the same settings gets the same
+ * answers back without calling the provider again.
+ *
+ * Entries older than LLM_CACHE_TTL_HOURS are ignored and removed, and the
+ * least recently used ones are evicted once the cache grows past
+ * LLM_CACHE_MAX_MB. LLM_CACHE=false turns the cache off, and so does
+ * recording or replaying fixtures, which must see every call.
+ */
+class ResponseCache {
+    constructor() {
+        this.cacheDir = path.join(__dirname, '..', '..', 'data', 'llm-cache');
+        // key -> { size, createdAt, usedAt } for the entries on disk
+        this.index = new Map();
+        this.loading = null;
+    }
+
+    get enabled() {
+        return process.env.LLM_CACHE !== 'false' && !llmFixtures.mode;
+    }
+
+    get ttlMs() {
+        return (parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+    }
+
+    get maxBytes() {
+        return (parseFloat(process.env.LLM_CACHE_MAX_MB) || 200) * 1024 * 1024;
+    }
+
+    keyFor({ provider, model, promptVersion, prompt }) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider, model || '', promptVersion || '', prompt]))
+            .digest('hex');
+    }
+
+    entryFile(key) {
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    // Build the index from the files on disk the first time the cache is used
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                await fs.mkdir(this.cacheDir, { recursive: true });
+                const files = (await fs.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+                for (const file of files) {
+                    try {
+                        const stat = await fs.stat(path.join(this.cacheDir, file));
+                        this.index.set(path.basename(file, '.json'), {
+                            size: stat.size,
+                            createdAt: stat.birthtimeMs || stat.mtimeMs,
+                            usedAt: stat.mtimeMs
+                        });
+                    } catch (error) {
+                        if (error.code !== 'ENOENT') throw error;
+                    }
+                }
+            })();
+        }
+        return this.loading;
+    }
+
+    async get(key) {
+        if (!this.enabled) return null;
+        await this.load();
+
+        const meta = this.index.get(key);
+        if (!meta) return null;
+        if (Date.now() - meta.createdAt > this.ttlMs) {
+            await this.remove(key);
+            return null;
+        }
+
+        try {
+            const entry = JSON.parse(await fs.readFile(this.entryFile(key), 'utf8'));
+            meta.usedAt = Date.now();
+            return entry;
+        } catch (error) {
+            // Missing or unreadable entries are treated as a miss
+            this.index.delete(key);
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        if (!this.enabled) return;
+        await this.load();
+
+        const now = Date.now();
+        const data = JSON.stringify({ ...value, createdAt: new Date(now).toISOString() });
+        try {
+            const file = this.entryFile(key);
+            const tmpFile = `${file}.${process.pid}.${now}.tmp`;
+            await fs.writeFile(tmpFile, data, 'utf8');
+            await fs.rename(tmpFile, file);
+            this.index.set(key, { size: Buffer.byteLength(data), createdAt: now, usedAt: now });
+            await this.prune();
+        } catch (error) {
+            // A cache that cannot be written only costs another LLM call
+            console.error('Error writing LLM cache entry:', error);
+        }
+    }
+
+    async remove(key) {
+        this.index.delete(key);
+        await fs.unlink(this.entryFile(key)).catch(() => {});
+    }
+
+    // Drop expired entries, then the least recently used until under the size limit
+    async prune() {
+        const now = Date.now();
+        for (const [key, meta] of this.index) {
+            if (now - meta.createdAt > this.ttlMs) await this.remove(key);
+        }
+
+        let total = Array.from(this.index.values()).reduce((sum, meta) => sum + meta.size, 0);
+        if (total <= this.maxBytes) return;
+        const byLastUse = Array.from(this.index.entries()).sort((a, b) => a[1].usedAt - b[1].usedAt);
+        for (const [key, meta] of byLastUse) {
+            if (total <= this.maxBytes) break;
+            total -= meta.size;
+            await this.remove(key);
+        }
+    }
+
+    /**
+     * Answer `request` ({ provider, model, promptVersion, prompt }) from the
+     * cache, or call `produce()` and store what it returns. `produce` should
+     * only resolve with answers worth keeping (parsed and validated), since
+     * they are replayed as is. With `bypass` the cache is not read, but the
+     * fresh answer still replaces the stored one.
+     * Resolves to { value, cached }.
+     */
+    async wrap(request, produce, { bypass = false } = {}) {
+        const key = this.keyFor(request);
+        if (!bypass) {
+            const entry = await this.get(key);
+            if (entry) return { value: entry.value, cached: true };
+        }
+
+        const value = await produce();
+        await this.set(key, {
+            provider: request.provider,
+            model: request.model,
+            promptVersion: request.promptVersion,
+            value
+        });
+        return { value, cached: false };
+    }
+}
+
+module.exports = new ResponseCache();
@@ -0,0 +1,19 @@
+// Pull the JSON document out of an LLM answer. Hosted models mostly answer
+// with bare JSON or a ```json fence; self-hosted ones also add reasoning
+// (<think>...</think>) or a sentence before or after the object.
+const extractJsonText = (text) => {
+    const cleaned = (text || '')
+        .replace(/<think>[\s\S]*?<\/think>/gi, '')
+        .replace(/```(?:json)?\s*/gi, '')
+        .replace(/```/g, '')
+        .trim();
+
+    const start = cleaned.search(/[{[]/);
+    if (start === -1) return cleaned;
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    return end > start ? cleaned.slice(start, end + 1) : cleaned.slice(start);
+};
+
+module.exports = {
+    extractJsonText
+};
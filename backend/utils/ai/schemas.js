@@ -0,0 +1,107 @@
+// JSON schemas for the FinNI and FinCL answers, and a validator for the
+// subset of JSON Schema they use: type (one or a list), enum, minimum,
+// maximum, minLength, pattern, required, properties and items.
+
+const ENTITY_TYPES = ['monetary', 'percentage', 'ratio', 'shares', 'date', 'count'];
+
+// Digits with optional sign, thousands separators and decimals as any locale
+// writes them: "-1,234.5", "1.234,5", "1 234,5", "1'234.5"
+const NUMBER_PATTERN = '^-?[\\d.,\'’ \\u00a0\\u202f]*\\d$';
+
+const FINNI_ENTITY_SCHEMA = {
+    type: 'object',
+    required: ['value', 'type', 'description', 'unit', 'period', 'confidence'],
+    properties: {
+        // A number, or a date for date entities (checked by FinNI)
+        value: { type: ['string', 'number'], minLength: 1 },
+        type: { type: 'string', enum: ENTITY_TYPES },
+        description: { type: 'string', minLength: 1 },
+        unit: { type: 'string' },
+        period: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+};
+
+// entityId refers to the position of the entity in the batch sent
+const finclMappingSchema = (batchSize) => ({
+    type: 'object',
+    required: ['entityId', 'xbrlTag'],
+    properties: {
+        entityId: { type: 'integer', minimum: 0, maximum: batchSize - 1 },
+        // null when no concept fits
+        xbrlTag: {
+            type: ['object', 'null'],
+            required: ['concept', 'taxonomy', 'confidence'],
+            properties: {
+                concept: { type: 'string', pattern: '^[A-Za-z][\\w-]*:[A-Za-z]\\w*$' },
+                taxonomy: { type: 'string', minLength: 1 },
+                confidence: { type: 'number', minimum: 0, maximum: 1 }
+            }
+        },
+        explanation: { type: 'string' }
+    }
+});
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate `value` against `schema`. Returns a list of messages such as
+ * "confidence must be at most 1", each prefixed with the path of the
+ * offending field; an empty list means the value is valid.
+ */
+const validate = (schema, value, path = '') => {
+    const at = path || 'item';
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${at} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+    if (value === null) return [];
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at} must not be empty`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} does not match the pattern ${schema.pattern}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+    }
+
+    return errors;
+};
+
+module.exports = {
+    ENTITY_TYPES,
+    NUMBER_PATTERN,
+    FINNI_ENTITY_SCHEMA,
+    finclMappingSchema,
+    validate
+};
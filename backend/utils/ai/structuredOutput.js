@@ -0,0 +1,159 @@
+const { generate } = require('./providerRegistry');
+const { extractJsonText } = require('./responseText');
+const { validate } = require('./schemas');
+const { FixtureMissError } = require('./fixtures');
+
+// Invalid items quoted in one repair prompt
+const MAX_QUOTED_ITEMS = 20;
+
+// Repair prompts sent after an answer fails validation (LLM_REPAIR_ATTEMPTS, default 1)
+const getRepairAttempts = () => {
+    const attempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+    return Number.isNaN(attempts) ? 1 : Math.max(0, attempts);
+};
+
+// Split an answer holding an array under `key` into valid items and invalid
+// ones with their errors; items valid against the schema also go through
+// `checkItem`, when given. Returns { items, invalid } or { error } when the
+// answer as a whole is unusable.
+const checkAnswer = (text, key, itemSchema, checkItem) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(extractJsonText(text));
+    } catch (parseError) {
+        return { error: `the answer is not valid JSON (${parseError.message})` };
+    }
+    if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed[key])) {
+        return { error: `the answer must be a JSON object with an array under "${key}"` };
+    }
+
+    const items = [];
+    const invalid = [];
+    parsed[key].forEach(item => {
+        let errors = validate(itemSchema, item);
+        if (errors.length === 0 && checkItem) errors = checkItem(item);
+        if (errors.length > 0) {
+            invalid.push({ item, errors });
+        } else {
+            items.push(item);
+        }
+    });
+    return { items, invalid };
+};
+
+// Thrown when no usable answer came back, even after the repair prompts. It is
+// the only failure callers ask the same prompt again for: quota errors are
+// retried by the rate limiter, other provider errors by the job queue.
+class InvalidAnswerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidAnswerError';
+        this.code = 'LLM_INVALID_ANSWER';
+    }
+}
+
+const retryPrompt = (prompt, error) => `${prompt}
+
+Your previous answer could not be used: ${error}.
+Answer again with the complete JSON object only.`;
+
+// Quote the invalid items and their errors and ask for corrected copies
+const itemRepairPrompt = (prompt, key, invalid) => `${prompt}
+
+These items of your previous answer failed validation:
+${invalid.slice(0, MAX_QUOTED_ITEMS).map(({ item, errors }, i) =>
+    `${i + 1}. ${JSON.stringify(item)}\n${errors.map(error => `   - ${error}`).join('\n')}`).join('\n')}
+
+Return a JSON object whose "${key}" array holds corrected versions of only these
+${Math.min(invalid.length, MAX_QUOTED_ITEMS)} items, in the same order. Leave out any item you cannot correct.`;
+
+/**
+ * Ask for a JSON object holding an array of items under `key`, each valid
+ * against `itemSchema` (see ./schemas) and passing `checkItem(item)`, which
+ * returns error messages for checks a schema cannot express. When the answer fails validation a
+ * repair prompt quoting the errors is sent, up to LLM_REPAIR_ATTEMPTS times:
+ * the whole answer is asked for again if it was unusable, otherwise only
+ * corrected copies of the invalid items. Valid items are always kept.
+ *
+ * Resolves to { items, dropped: [{ item, errors }], repairs, provider, model }
+ * and throws InvalidAnswerError if no usable answer came back at all.
+ */
+const generateStructured = async ({ key, itemSchema, checkItem, prompt, ...request }) => {
+    const repairAttempts = getRepairAttempts();
+    let items = null;
+    let pending = [];
+    let repairs = 0;
+    let answeredBy;
+    let nextPrompt = prompt;
+
+    for (let round = 0; round <= repairAttempts; round++) {
+        if (round > 0) repairs++;
+        const repairingItems = items !== null;
+        let response;
+        try {
+            response = await generate({ ...request, prompt: nextPrompt });
+        } catch (error) {
+            // A failed repair keeps what the first answer had
+            if (!repairingItems || error instanceof FixtureMissError) throw error;
+            console.error('Repair prompt failed:', error.message);
+            break;
+        }
+        answeredBy = response;
+        const checked = checkAnswer(response.text, key, itemSchema, checkItem);
+
+        if (!repairingItems) {
+            if (checked.error) {
+                console.warn(`Warning: Unusable ${key} answer (${checked.error})`);
+                if (round === repairAttempts) throw new InvalidAnswerError(`Invalid JSON from API: ${checked.error}`);
+                nextPrompt = retryPrompt(prompt, checked.error);
+                continue;
+            }
+            items = checked.items;
+            pending = checked.invalid;
+        } else {
+            if (checked.error) {
+                console.warn(`Warning: Unusable repair answer (${checked.error})`);
+                break;
+            }
+            // Corrections come back in the order asked; items left out stay invalid
+            const asked = Math.min(pending.length, MAX_QUOTED_ITEMS);
+            const answered = checked.items.length + checked.invalid.length;
+            items.push(...checked.items);
+            pending = [...checked.invalid, ...pending.slice(Math.min(answered, asked))];
+        }
+
+        if (pending.length === 0) break;
+        console.log(`Debug: ${pending.length} ${key} failed validation`);
+        nextPrompt = itemRepairPrompt(prompt, key, pending);
+    }
+
+    return {
+        items,
+        dropped: pending,
+        repairs,
+        provider: answeredBy.provider,
+        model: answeredBy.model
+    };
+};
+
+// Tally why items were dropped into `reasons`:
+// [{ reason: 'confidence must be at most 1', count: 2 }, ...]
+const countDropReasons = (dropped, reasons = []) => {
+    dropped.forEach(({ errors }) => {
+        errors.forEach(error => {
+            const existing = reasons.find(entry => entry.reason === error);
+            if (existing) {
+                existing.count++;
+            } else {
+                reasons.push({ reason: error, count: 1 });
+            }
+        });
+    });
+    return reasons;
+};
+
+module.exports = {
+    InvalidAnswerError,
+    generateStructured,
+    countDropReasons
+};
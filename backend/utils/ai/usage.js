@@ -0,0 +1,93 @@
+const usageStorage = require('../../config/usageStorage');
+const { costOf, getCurrency } = require('./pricing');
+
+// Costs are kept to a millionth of the currency unit
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+const emptyTotals = () => ({
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    // Calls to models missing from the price table; their cost is not included
+    unpricedCalls: 0
+});
+
+const addToTotals = (totals, record) => {
+    totals.calls++;
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.totalTokens += record.totalTokens;
+    if (record.cost === null) {
+        totals.unpricedCalls++;
+    } else {
+        totals.cost += record.cost;
+    }
+    return totals;
+};
+
+// Totals of `records` grouped by `keyOf(record)`, as [{ ...key, ...totals }]
+const groupUsage = (records, keyOf) => {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        const id = JSON.stringify(key);
+        if (!groups.has(id)) groups.set(id, { ...key, ...emptyTotals() });
+        addToTotals(groups.get(id), record);
+    });
+    return Array.from(groups.values()).map(group => ({ ...group, cost: roundCost(group.cost) }));
+};
+
+/**
+ * Totals of a list of usage records, with a breakdown per provider and model:
+ * { calls, inputTokens, outputTokens, totalTokens, cost, unpricedCalls,
+ *   currency, models: [{ provider, model, ...totals }] }
+ */
+const summarizeUsage = (records) => {
+    const totals = records.reduce(addToTotals, emptyTotals());
+    return {
+        ...totals,
+        cost: roundCost(totals.cost),
+        currency: getCurrency(),
+        models: groupUsage(records, ({ provider, model }) => ({ provider, model }))
+    };
+};
+
+/**
+ * Collects the LLM calls of one pipeline stage. `context` ({ userId,
+ * reportId, jobId, stage }) is stored with every call in the usage ledger,
+ * and summary() gives the stage's totals for its result.
+ */
+const createUsageTracker = (context = {}) => {
+    const records = [];
+    return {
+        async record(provider, model, { inputTokens = 0, outputTokens = 0, totalTokens = 0 } = {}) {
+            const cost = costOf(provider, model, { inputTokens, outputTokens });
+            const record = {
+                userId: context.userId || null,
+                reportId: context.reportId || null,
+                jobId: context.jobId || null,
+                stage: context.stage || null,
+                provider,
+                model,
+                inputTokens,
+                outputTokens,
+                totalTokens: totalTokens || inputTokens + outputTokens,
+                cost: cost === null ? null : roundCost(cost)
+            };
+            records.push(record);
+            await usageStorage.addRecord(record);
+        },
+
+        summary() {
+            return summarizeUsage(records);
+        }
+    };
+};
+
+module.exports = {
+    createUsageTracker,
+    summarizeUsage,
+    groupUsage
+};
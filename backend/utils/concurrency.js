@@ -0,0 +1,29 @@
+/**
+ * Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+ * Resolves to the results in input order; each entry is
+ * { status: 'fulfilled', value } or { status: 'rejected', reason },
+ * like Promise.allSettled, so one failure does not stop the rest.
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+    await Promise.all(workers);
+    return results;
+};
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -1,6 +1,7 @@
 const { HfInference } = require('@huggingface/inference');
 const fs = require('fs').promises;
 const path = require('path');
+const { normalizeItemType } = require('../entities/itemTypes');
 
 class DatasetLoader {
     constructor() {
@@ -198,10 +199,10 @@ class DatasetLoader {
     }
 
     _isMatchingEntity(pred, gold) {
-        // Consider entities matching if they have the same value and type
-        // You can adjust this logic based on your specific requirements
+        // Consider entities matching if they have the same value and XBRL
+        // item type (the gold sets use item types such as monetaryItemType)
         return pred.value === gold.value && 
-               pred.type === gold.type &&
+               normalizeItemType(pred.itemType || pred.type) === normalizeItemType(gold.itemType || gold.type) &&
                Math.abs(parseFloat(pred.value) - parseFloat(gold.value)) < 0.01;
     }
 }
@@ -0,0 +1,95 @@
+// Split long documents into overlapping, section-aware chunks for the LLM.
+
+// Lines that start a new section of a filing: "Item 7.", "Note 5 -", "PART II",
+// and all-caps statement titles such as "CONSOLIDATED BALANCE SHEETS"
+const SECTION_HEADING = /^(?:item\s+\d+[a-z]?\b|note\s+\d+\b|part\s+[ivx]+\b)/i;
+const CAPS_HEADING = /^[A-Z][A-Z0-9 ,&'()-]{8,}$/;
+
+const isHeading = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 120) return false;
+    return SECTION_HEADING.test(trimmed) || (CAPS_HEADING.test(trimmed) && /[A-Z]{3,}/.test(trimmed));
+};
+
+// Break the text into sections, keeping character offsets into the original
+const splitSections = (text) => {
+    const sections = [];
+    let current = { title: null, start: 0, end: 0 };
+    let offset = 0;
+
+    text.split('\n').forEach(line => {
+        const lineEnd = offset + line.length + 1;
+        if (isHeading(line) && offset > current.start) {
+            current.end = offset;
+            sections.push(current);
+            current = { title: line.trim(), start: offset, end: offset };
+        } else if (isHeading(line)) {
+            current.title = line.trim();
+        }
+        offset = lineEnd;
+    });
+    current.end = text.length;
+    sections.push(current);
+
+    return sections.filter(section => section.end > section.start);
+};
+
+// Find a cut point at or before `limit`, preferring a line break, then a space
+const findBreak = (text, from, limit) => {
+    if (limit >= text.length) return text.length;
+    const newline = text.lastIndexOf('\n', limit);
+    if (newline > from) return newline + 1;
+    const space = text.lastIndexOf(' ', limit);
+    if (space > from) return space + 1;
+    return limit;
+};
+
+/**
+ * Split `text` into chunks of at most `maxChars` characters.
+ * Whole sections are packed together where they fit; longer sections are cut
+ * at line breaks with `overlap` characters repeated between neighbours so a
+ * figure on the boundary is seen whole by at least one chunk.
+ * Returns [{ index, start, end, section, text }].
+ */
+const chunkText = (text, { maxChars = 24000, overlap = 1000 } = {}) => {
+    if (!text) return [];
+
+    const ranges = [];
+    let pending = null;
+    splitSections(text).forEach(section => {
+        if (pending && section.end - pending.start <= maxChars) {
+            pending.end = section.end;
+            return;
+        }
+        if (pending) ranges.push(pending);
+
+        if (section.end - section.start <= maxChars) {
+            pending = { ...section };
+            return;
+        }
+
+        // Oversized section: cut it with overlap
+        pending = null;
+        let start = section.start;
+        while (start < section.end) {
+            const end = Math.min(findBreak(text, start, start + maxChars), section.end);
+            ranges.push({ title: section.title, start, end });
+            if (end >= section.end) break;
+            const next = findBreak(text, start, end - overlap);
+            start = next > start ? next : end;
+        }
+    });
+    if (pending) ranges.push(pending);
+
+    return ranges.map((range, index) => ({
+        index,
+        start: range.start,
+        end: range.end,
+        section: range.title,
+        text: text.slice(range.start, range.end)
+    }));
+};
+
+module.exports = {
+    chunkText
+};
@@ -0,0 +1,230 @@
+const cheerio = require('cheerio');
+const { buildTable } = require('./tables');
+const { CURRENCY_PATTERN } = require('../entities/currencies');
+
+// Elements whose content never belongs in the extracted text
+const SKIP_TAGS = new Set([
+    'script', 'style', 'noscript', 'head', 'template', 'svg', 'ix:header'
+]);
+
+// Elements that start a new line in the rendered text
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'caption', 'ul', 'body', 'html'
+]);
+
+// A cell holding only what goes before a value: "$", "HK$", "CHF", "("
+const LEADING_CELL = new RegExp(`^(?=.)\\(?\\s*(?:${CURRENCY_PATTERN})?\\s*\\(?$`);
+
+const isHidden = (node) => {
+    const style = (node.attribs && node.attribs.style) || '';
+    return /display\s*:\s*none/i.test(style);
+};
+
+const normalizeSpaces = (text) => text.replace(/[\u00a0\u2007\u202f]/g, ' ').replace(/[ \t\r\f\v]+/g, ' ');
+
+// Render a node's inline text on a single line (used for table cells)
+const renderInline = (node) => {
+    if (node.type === 'text') return node.data || '';
+    if (node.type !== 'tag' && node.type !== 'root') return '';
+    if (SKIP_TAGS.has(node.name) || isHidden(node)) return '';
+    if (node.name === 'br') return ' ';
+    return (node.children || []).map(renderInline).join('');
+};
+
+// Read a <table> into rows of cell strings, skipping empty spacer cells.
+// EDGAR filings put currency symbols, closing parentheses and percent signs
+// in their own cells, so those are glued back onto the neighbouring value.
+const tableRows = (table) => {
+    const rows = [];
+
+    const collectRows = (node) => {
+        (node.children || []).forEach(child => {
+            if (child.type !== 'tag') return;
+            if (child.name === 'tr') {
+                rows.push(child);
+            } else if (child.name !== 'table') {
+                collectRows(child);
+            }
+        });
+    };
+    collectRows(table);
+
+    return rows.map(row => {
+        const cells = [];
+        (row.children || []).forEach(cell => {
+            if (cell.type !== 'tag' || (cell.name !== 'td' && cell.name !== 'th')) return;
+            const text = normalizeSpaces(renderInline(cell)).replace(/\s+/g, ' ').trim();
+            if (!text) return;
+
+            const previous = cells.length - 1;
+            if (previous >= 0 && /^[)%]+$/.test(text)) {
+                cells[previous] += text;
+            } else if (previous >= 0 && LEADING_CELL.test(cells[previous])) {
+                cells[previous] += text;
+            } else {
+                cells.push(text);
+            }
+        });
+        return cells;
+    }).filter(cells => cells.length > 0);
+};
+
+// Periods of the xbrli:context elements in the inline XBRL header, by ID:
+// { periodType, startDate, endDate } (startDate is null for instants)
+const readContextPeriods = ($) => {
+    const periods = {};
+    $('xbrli\\:context').each((i, element) => {
+        const id = element.attribs && element.attribs.id;
+        const text = selector => $(element).find(selector).first().text().trim() || null;
+        const instant = text('xbrli\\:instant');
+        const endDate = instant || text('xbrli\\:enddate');
+        if (!id || !endDate) return;
+        periods[id] = instant
+            ? { periodType: 'instant', startDate: null, endDate: instant }
+            : { periodType: 'duration', startDate: text('xbrli\\:startdate'), endDate };
+    });
+    return periods;
+};
+
+// Dimensions of the xbrli:context elements with a segment, by ID:
+// [{ axis, member }] from their xbrldi:explicitMember elements
+const readContextDimensions = ($) => {
+    const dimensions = {};
+    $('xbrli\\:context').each((i, element) => {
+        const id = element.attribs && element.attribs.id;
+        const members = $(element).find('xbrldi\\:explicitmember').toArray()
+            .map(member => ({ axis: (member.attribs || {}).dimension, member: $(member).text().trim() }))
+            .filter(({ axis, member }) => axis && member);
+        if (id && members.length > 0) dimensions[id] = members;
+    });
+    return dimensions;
+};
+
+// Measures of the xbrli:unit elements in the inline XBRL header, by ID:
+// 'iso4217:JPY', or 'iso4217:USD/xbrli:shares' for a divide
+const readUnitMeasures = ($) => {
+    const measures = {};
+    $('xbrli\\:unit').each((i, element) => {
+        const id = element.attribs && element.attribs.id;
+        const measure = selector => $(element).find(`${selector} xbrli\\:measure`).first().text().trim();
+        const numerator = measure('xbrli\\:unitnumerator');
+        const single = $(element).find('xbrli\\:measure').first().text().trim();
+        if (!id || !single) return;
+        measures[id] = numerator ? `${numerator}/${measure('xbrli\\:unitdenominator')}` : single;
+    });
+    return measures;
+};
+
+// Read the attributes of an ix:nonFraction element into a fact record
+const readTaggedFact = ($, element) => {
+    const attrs = element.attribs || {};
+    const rawText = normalizeSpaces($(element).text()).trim();
+    const format = attrs.format || null;
+
+    // Transformations such as ixt:num-comma-decimal write "1.234,56"
+    const commaDecimal = /comma-?decimal|num(?:dot|space)comma/i.test(format || '');
+    let value = commaDecimal
+        ? rawText.replace(/[^0-9,]/g, '').replace(',', '.')
+        : rawText.replace(/[^0-9.]/g, '');
+    if (!value || /zerodash|fixed-zero|numdash/i.test(format || '')) {
+        value = '0';
+    }
+
+    const name = attrs.name || null;
+    return {
+        concept: name,
+        prefix: name && name.includes(':') ? name.split(':')[0] : null,
+        value,
+        rawText,
+        contextRef: attrs.contextref || null,
+        unitRef: attrs.unitref || null,
+        decimals: attrs.decimals || null,
+        scale: attrs.scale || null,
+        sign: attrs.sign === '-' ? '-' : null,
+        format,
+        id: attrs.id || null
+    };
+};
+
+/**
+ * Extract readable text, tables and inline XBRL facts from an HTML document.
+ * Returns { text, taggedFacts, tables } where text keeps block boundaries and
+ * renders tables row by row (cells separated by " | "), taggedFacts lists
+ * every ix:nonFraction element (with the period and dimensions of its
+ * context and the measure of its unit) and tables holds the structured financial tables.
+ */
+const extractHtml = (html) => {
+    const $ = cheerio.load(html);
+
+    const contextPeriods = readContextPeriods($);
+    const contextDimensions = readContextDimensions($);
+    const unitMeasures = readUnitMeasures($);
+    const taggedFacts = [];
+    $('ix\\:nonfraction').each((i, element) => {
+        const fact = readTaggedFact($, element);
+        taggedFacts.push({
+            ...fact,
+            contextPeriod: contextPeriods[fact.contextRef] || null,
+            contextDimensions: contextDimensions[fact.contextRef] || [],
+            unitMeasure: unitMeasures[fact.unitRef] || null
+        });
+    });
+
+    const tables = [];
+    const parts = [];
+    const newline = () => {
+        if (parts.length > 0 && parts[parts.length - 1] !== '\n') {
+            parts.push('\n');
+        }
+    };
+
+    const walk = (node) => {
+        if (node.type === 'text') {
+            parts.push(normalizeSpaces(node.data || ''));
+            return;
+        }
+        if (node.type !== 'tag' && node.type !== 'root') return;
+        if (SKIP_TAGS.has(node.name) || isHidden(node)) return;
+
+        if (node.name === 'br') {
+            newline();
+            return;
+        }
+        if (node.name === 'table') {
+            const rows = tableRows(node);
+            // Its <caption>, or the lines just above it ("(in millions, except per share data)")
+            const captionNode = (node.children || []).find(child => child.type === 'tag' && child.name === 'caption');
+            const caption = captionNode
+                ? normalizeSpaces(renderInline(captionNode)).trim()
+                : parts.slice(-40).join('').split('\n').map(line => line.trim()).filter(Boolean).slice(-2).join(' ');
+            const table = buildTable(rows, { caption: caption || null });
+            if (table) tables.push(table);
+
+            newline();
+            parts.push(rows.map(cells => cells.join(' | ')).join('\n'));
+            newline();
+            return;
+        }
+
+        const isBlock = BLOCK_TAGS.has(node.name);
+        if (isBlock) newline();
+        (node.children || []).forEach(walk);
+        if (isBlock) newline();
+    };
+    walk($.root()[0]);
+
+    const text = parts.join('')
+        .split('\n')
+        .map(line => line.replace(/ +/g, ' ').trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+
+    return { text, taggedFacts, tables };
+};
+
+module.exports = {
+    extractHtml
+};
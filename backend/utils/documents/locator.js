@@ -0,0 +1,110 @@
+// Locate extracted entities back in their source document.
+// PDF entities get a page number and a bounding box; text-based formats
+// (DOCX, HTML, plain text) get a paragraph anchor instead.
+// Numbers are read as the document's locale writes them (see
+// ../entities/locales); entity values are canonical. Dates are found by
+// ../entities/dates and looked up by their ISO value, like in the ensemble.
+
+const { DEFAULT_LOCALE, numberFormatFor, numberPattern, toCanonicalNumber } = require('../entities/locales');
+const { findDates, blankDates } = require('../entities/dates');
+const { valueKey } = require('../entities/ensemble');
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Dates and numbers written in `text`, as [{ key, index, length }] keyed like
+// valueKey. Dates are blanked out first so their digits are not read as numbers.
+const findTokens = (text, numberFormat) => {
+    const dates = findDates(text, { dateOrder: numberFormat.dateOrder });
+    const tokens = dates.map(date => ({ key: `date:${date.value}`, index: date.offset, length: date.end - date.offset }));
+    const numbers = blankDates(text, dates);
+    const numberToken = new RegExp(numberPattern(numberFormat), 'g');
+    let match;
+    while ((match = numberToken.exec(numbers)) !== null) {
+        tokens.push({ key: parseFloat(toCanonicalNumber(match[0], numberFormat)), index: match.index, length: match[0].length });
+    }
+    return tokens.sort((a, b) => a.index - b.index);
+};
+
+// Hands out occurrences of each value in reading order, so repeated values
+// are spread over their successive positions instead of all pointing at the first
+const createOccurrenceIndex = (occurrences) => {
+    const byValue = new Map();
+    occurrences.forEach(occurrence => {
+        if (!byValue.has(occurrence.key)) byValue.set(occurrence.key, { list: [], next: 0 });
+        byValue.get(occurrence.key).list.push(occurrence);
+    });
+
+    return (entity) => {
+        const entry = byValue.get(valueKey(entity));
+        if (!entry) return null;
+        const occurrence = entry.list[Math.min(entry.next, entry.list.length - 1)];
+        entry.next++;
+        return occurrence;
+    };
+};
+
+/**
+ * Build a locator over pdfjs pages (see pdfExtractor.readPdfPages) whose
+ * numbers are written as `numberFormat` writes them.
+ * Coordinates are in PDF points with the origin at the top-left of the page.
+ */
+const createPdfLocator = (pages, { numberFormat = numberFormatFor(DEFAULT_LOCALE) } = {}) => {
+    const occurrences = [];
+    pages.forEach(page => {
+        const items = [...page.items].sort((a, b) => b.y - a.y || a.x - b.x);
+        items.forEach(item => {
+            const charWidth = item.width / Math.max(item.text.length, 1);
+            findTokens(item.text, numberFormat).forEach(({ key, index, length }) => {
+                occurrences.push({
+                    key,
+                    location: {
+                        pageNum: page.pageNum,
+                        coordinates: {
+                            x: round(item.x + charWidth * index),
+                            y: round(page.height - item.y - item.height),
+                            width: round(charWidth * length),
+                            height: round(item.height)
+                        }
+                    }
+                });
+            });
+        });
+    });
+
+    const next = createOccurrenceIndex(occurrences);
+    return (entity) => {
+        const occurrence = next(entity);
+        return occurrence ? occurrence.location : null;
+    };
+};
+
+/**
+ * Build a locator over extracted text; each line is one paragraph (or one
+ * table row for HTML), and entities are anchored to the line holding them.
+ */
+const createTextLocator = (text, { numberFormat = numberFormatFor(DEFAULT_LOCALE) } = {}) => {
+    const occurrences = [];
+    (text || '').split('\n').forEach((line, paragraph) => {
+        findTokens(line, numberFormat).forEach(({ key, index }) => {
+            occurrences.push({
+                key,
+                location: {
+                    pageNum: null,
+                    coordinates: null,
+                    anchor: { type: 'paragraph', paragraph, offset: index }
+                }
+            });
+        });
+    });
+
+    const next = createOccurrenceIndex(occurrences);
+    return (entity) => {
+        const occurrence = next(entity);
+        return occurrence ? occurrence.location : null;
+    };
+};
+
+module.exports = {
+    createPdfLocator,
+    createTextLocator
+};
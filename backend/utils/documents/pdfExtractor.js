@@ -0,0 +1,234 @@
+const { buildTable, isNumericCell } = require('./tables');
+
+// pdfjs-dist only ships ES modules, so it is loaded lazily with a dynamic import
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+};
+
+// Horizontal distance (in PDF units) between two runs of text on the same
+// line above which they are treated as separate cells
+const CELL_GAP = 12;
+// Numeric cells whose right edges are this close belong to the same column
+const COLUMN_TOLERANCE = 20;
+
+/**
+ * Read positioned text from every page of a PDF.
+ * Returns [{ pageNum, width, height, items: [{ text, x, y, width, height }] }]
+ * with y measured from the bottom of the page, as in PDF user space.
+ */
+const readPdfPages = async (buffer) => {
+    const pdfjs = await loadPdfjs();
+    const doc = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        verbosity: 0,
+        isEvalSupported: false
+    }).promise;
+
+    const pages = [];
+    try {
+        for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+            const page = await doc.getPage(pageNum);
+            const viewport = page.getViewport({ scale: 1 });
+            const content = await page.getTextContent();
+            const items = content.items
+                .filter(item => item.str && item.str.trim())
+                .map(item => ({
+                    text: item.str,
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width,
+                    height: item.height || Math.abs(item.transform[3])
+                }));
+            pages.push({ pageNum, width: viewport.width, height: viewport.height, items });
+            page.cleanup();
+        }
+    } finally {
+        await doc.destroy();
+    }
+    return pages;
+};
+
+// Group positioned items into lines (top to bottom), and each line into
+// segments of adjacent text (left to right)
+const groupLines = (items) => {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    sorted.forEach(item => {
+        const line = lines[lines.length - 1];
+        const tolerance = Math.max(2, item.height * 0.5);
+        if (line && Math.abs(line.y - item.y) <= tolerance) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, items: [item] });
+        }
+    });
+
+    return lines.map(line => {
+        const segments = [];
+        line.items.sort((a, b) => a.x - b.x).forEach(item => {
+            const last = segments[segments.length - 1];
+            if (last && item.x - (last.x + last.width) < CELL_GAP) {
+                const gap = item.x - (last.x + last.width) > 1 ? ' ' : '';
+                last.text = `${last.text}${gap}${item.text}`;
+                last.width = item.x + item.width - last.x;
+                last.height = Math.max(last.height, item.height);
+            } else {
+                segments.push({ ...item });
+            }
+        });
+        segments.forEach(segment => {
+            segment.text = segment.text.replace(/\s+/g, ' ').trim();
+        });
+        return { y: line.y, segments: segments.filter(segment => segment.text) };
+    });
+};
+
+const isTableLine = (line) => {
+    const [label, ...rest] = line.segments;
+    return Boolean(label) && !isNumericCell(label.text) && rest.some(s => isNumericCell(s.text));
+};
+
+// Cluster the right edges of numeric segments into value columns
+const findColumns = (lines) => {
+    const edges = lines
+        .flatMap(line => line.segments.slice(1))
+        .filter(segment => isNumericCell(segment.text))
+        .map(segment => segment.x + segment.width)
+        .sort((a, b) => a - b);
+
+    const columns = [];
+    edges.forEach(edge => {
+        const column = columns[columns.length - 1];
+        if (column && edge - column.max <= COLUMN_TOLERANCE) {
+            column.max = edge;
+        } else {
+            columns.push({ min: edge, max: edge });
+        }
+    });
+    return columns;
+};
+
+const nearestColumn = (columns, segment) => {
+    const right = segment.x + segment.width;
+    let best = 0;
+    columns.forEach((column, i) => {
+        const distance = Math.abs(right - column.max);
+        if (distance < Math.abs(right - columns[best].max)) best = i;
+    });
+    return best;
+};
+
+// Page number and top-left based bounding box of a segment
+const segmentLocation = (page, segment) => ({
+    pageNum: page.pageNum,
+    coordinates: {
+        x: Math.round(segment.x * 100) / 100,
+        y: Math.round((page.height - segment.y - segment.height) * 100) / 100,
+        width: Math.round(segment.width * 100) / 100,
+        height: Math.round(segment.height * 100) / 100
+    }
+});
+
+/**
+ * Detect tables on one page: runs of lines with a text label followed by
+ * numeric values, plus up to two heading lines above them (the column periods).
+ */
+const detectPageTables = (page) => {
+    const lines = groupLines(page.items);
+    const tables = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        if (!isTableLine(lines[i])) {
+            i++;
+            continue;
+        }
+
+        // Extend the run; label-only lines (sub-headings) are kept when more rows follow
+        let end = i;
+        let j = i + 1;
+        while (j < lines.length) {
+            if (isTableLine(lines[j])) {
+                end = j;
+            } else if (lines[j].segments.length !== 1) {
+                break;
+            }
+            j++;
+        }
+
+        const bodyLines = lines.slice(i, end + 1);
+        const dataLines = bodyLines.filter(isTableLine);
+        if (dataLines.length >= 2) {
+            const columns = findColumns(dataLines);
+            const firstValueX = Math.min(...columns.map(column => column.min)) - 80;
+
+            const headerLines = [];
+            for (let k = i - 1; k >= 0 && headerLines.length < 2; k--) {
+                const segments = lines[k].segments.filter(s => s.x + s.width >= firstValueX);
+                if (segments.length === 0) break;
+                headerLines.unshift(lines[k]);
+            }
+
+            const toRow = (line, isHeader) => {
+                const row = new Array(columns.length + 1).fill(null);
+                line.segments.forEach((segment, s) => {
+                    if (!isHeader && s === 0) {
+                        row[0] = segment.text;
+                        return;
+                    }
+                    if (isHeader && segment.x + segment.width < firstValueX) return;
+                    const column = nearestColumn(columns, segment) + 1;
+                    if (isHeader) {
+                        row[column] = row[column] ? `${row[column]} ${segment.text}` : segment.text;
+                    } else if (row[column]) {
+                        row[column].text = `${row[column].text} ${segment.text}`;
+                    } else {
+                        row[column] = { text: segment.text, location: segmentLocation(page, segment) };
+                    }
+                });
+                return row;
+            };
+
+            // The lines above the headings, which state the statement's scale
+            const firstHeading = i - headerLines.length;
+            const caption = lines.slice(Math.max(0, firstHeading - 2), firstHeading)
+                .map(line => line.segments.map(segment => segment.text).join(' '))
+                .join(' ');
+
+            const grid = [
+                ...headerLines.map(line => toRow(line, true)),
+                ...bodyLines.map(line => toRow(line, false))
+            ];
+            const table = buildTable(grid, { pageNum: page.pageNum, caption: caption || null });
+            if (table) tables.push(table);
+        }
+        i = end + 1;
+    }
+
+    return tables;
+};
+
+/**
+ * Detect structured tables on pages read by readPdfPages.
+ * Value cells carry the page number and bounding box they were read from.
+ */
+const detectPdfTables = (pages) => pages.flatMap(detectPageTables);
+
+/**
+ * Plain text of the pages, one line per text line and cells separated by spaces.
+ */
+const pagesToText = (pages) => pages
+    .map(page => groupLines(page.items)
+        .map(line => line.segments.map(segment => segment.text).join(' '))
+        .join('\n'))
+    .join('\n\n');
+
+module.exports = {
+    readPdfPages,
+    detectPdfTables,
+    pagesToText
+};
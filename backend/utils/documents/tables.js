@@ -0,0 +1,178 @@
+// Shared helpers that turn a grid of cell strings (from HTML, DOCX or PDF)
+// into a structured financial table and into FinNI entities.
+
+const { detectScale, normalizeEntity } = require('../entities/normalize');
+const { CURRENCY_PATTERN, currencyIn } = require('../entities/currencies');
+const { DEFAULT_LOCALE, numberFormatFor, toCanonicalNumber } = require('../entities/locales');
+
+// "1,234", "(56)", "12.5%", "$ (1,234)", "HK$1,234", "CHF 56", and as other
+// locales write them: "1.234,56", "1 234,5 €", "1'234"
+const NUMERIC_CELL = new RegExp(`^\\(?\\s*(?:${CURRENCY_PATTERN}\\s*)?\\(?\\s*-?[0-9](?:[0-9.,'’]|[ \\u00a0\\u202f](?=[0-9]{3}(?![0-9])))*\\s*\\)?\\s*%?\\s*(?:${CURRENCY_PATTERN})?$`);
+const YEAR_CELL = /^(19|20)\d{2}$/;
+
+const isNumericCell = (cell) => Boolean(cell) && NUMERIC_CELL.test(cell.trim());
+
+const isYearCell = (cell) => Boolean(cell) && YEAR_CELL.test(cell.trim());
+
+// A data row has a text label followed by at least one numeric value that is
+// not just a column-heading year
+const isDataRow = (row) => {
+    const [label, ...values] = row;
+    if (!label || isNumericCell(label)) return false;
+    const numeric = values.filter(isNumericCell);
+    return numeric.length > 0 && !numeric.every(isYearCell);
+};
+
+// Spread a header row across `columnCount` value columns. Rows already laid
+// out on the full grid (label + one cell per column) are used as they are.
+// Otherwise wider rows keep their right-most cells, a single cell spans every
+// column, and k cells over a multiple of k columns span evenly
+// ("Three Months Ended" | "Six Months Ended").
+const spreadHeaderRow = (row, columnCount) => {
+    if (row.length === columnCount + 1) return row.slice(1);
+    const cells = row.filter(Boolean);
+    if (cells.length === 0) return new Array(columnCount).fill('');
+    if (cells.length >= columnCount) return cells.slice(cells.length - columnCount);
+    if (columnCount % cells.length === 0) {
+        const span = columnCount / cells.length;
+        return Array.from({ length: columnCount }, (_, i) => cells[Math.floor(i / span)]);
+    }
+    return [...new Array(columnCount - cells.length).fill(''), ...cells];
+};
+
+/**
+ * Build a structured table from rows of cell strings.
+ * Value cells are right-aligned to the widest data row, which matches how
+ * financial statements lay out period columns.
+ * Returns null when the grid does not look like a financial table.
+ */
+const buildTable = (grid, meta = {}) => {
+    // Cells are strings, or { text, location } when the source knows where they sit
+    const textOf = cell => (cell == null ? '' : typeof cell === 'object' ? cell.text : String(cell));
+    const keptRows = grid.filter(row => row.some(cell => textOf(cell).trim()));
+    const rows = keptRows.map(row => row.map(cell => textOf(cell).replace(/\s+/g, ' ').trim()));
+    const locationRows = keptRows.map(row => row.map(cell => (cell && typeof cell === 'object' ? cell.location : null)));
+    const hasLocations = locationRows.some(row => row.some(Boolean));
+
+    const firstDataRow = rows.findIndex(isDataRow);
+    if (firstDataRow === -1) return null;
+
+    const bodyRows = rows.slice(firstDataRow);
+    const dataRows = bodyRows.filter(isDataRow);
+    if (dataRows.length < 2) return null;
+
+    const columnCount = Math.max(...dataRows.map(row => row.length - 1));
+    const headerRows = rows.slice(0, firstDataRow);
+
+    const columnPeriods = new Array(columnCount).fill('');
+    headerRows.forEach(row => {
+        spreadHeaderRow(row, columnCount).forEach((text, i) => {
+            if (text) columnPeriods[i] = columnPeriods[i] ? `${columnPeriods[i]} ${text}` : text;
+        });
+    });
+
+    // Right-align a row's values (and their locations) onto the value columns
+    const alignValues = (row, hasLabel) => {
+        const values = hasLabel ? row.slice(1) : row;
+        const aligned = new Array(columnCount).fill(null);
+        values.slice(-columnCount).forEach((value, i) => {
+            aligned[columnCount - Math.min(values.length, columnCount) + i] = value || null;
+        });
+        return aligned;
+    };
+
+    const rowLabels = [];
+    const cells = [];
+    const cellLocations = [];
+    bodyRows.forEach((row, r) => {
+        const hasLabel = Boolean(row[0]) && !isNumericCell(row[0]);
+        rowLabels.push(hasLabel ? row[0] : '');
+        cells.push(alignValues(row, hasLabel));
+        cellLocations.push(alignValues(locationRows[firstDataRow + r], hasLabel));
+    });
+
+    return {
+        ...meta,
+        headerRows,
+        rowLabels,
+        columnPeriods: columnPeriods.map(period => period || null),
+        cells,
+        ...(hasLocations ? { cellLocations } : {})
+    };
+};
+
+// Currency for the whole table, taken from its caption or headers, else from
+// any currency written in its cells
+const detectTableCurrency = (table) => {
+    const headings = [table.caption || '', ...table.headerRows.flat()].join(' ');
+    const cells = table.cells.flat().filter(Boolean).join(' ');
+    return currencyIn(headings, { names: false }) || currencyIn(cells, { names: false });
+};
+
+/**
+ * Turn every numeric cell of a table into a FinNI entity that keeps its row
+ * label and column period. Values are normalized under the scale stated in
+ * the table's headings or caption, and read as `numberFormat` writes them.
+ */
+const tableToEntities = (table, tableIndex, { numberFormat = numberFormatFor(DEFAULT_LOCALE) } = {}) => {
+    const entities = [];
+    const tableCurrency = detectTableCurrency(table);
+    const scaleStatement = detectScale([table.caption || '', ...table.headerRows.flat()].join(' '));
+
+    // Rows with a label and no values head the rows below them
+    // ("Earnings per share:" over "Basic" and "Diluted")
+    let section = null;
+    table.cells.forEach((row, r) => {
+        const rowLabel = table.rowLabels[r];
+        if (rowLabel && !row.some(isNumericCell)) {
+            section = rowLabel;
+            return;
+        }
+        row.forEach((raw, c) => {
+            if (!isNumericCell(raw)) return;
+
+            const period = table.columnPeriods[c];
+            const cellCurrency = currencyIn(raw, { reportingCurrency: tableCurrency, names: false });
+            let type = 'number';
+            let unit = null;
+            if (raw.includes('%')) {
+                type = 'percentage';
+                unit = '%';
+            } else if (/shares?\b/i.test(rowLabel) && !/per share/i.test(rowLabel)) {
+                type = 'shares';
+                unit = 'shares';
+            } else if (cellCurrency || tableCurrency) {
+                type = 'monetary';
+                unit = cellCurrency || tableCurrency;
+            }
+
+            entities.push(normalizeEntity({
+                value: toCanonicalNumber(raw, numberFormat),
+                type,
+                description: period ? `${rowLabel} (${period})` : rowLabel,
+                rowLabel,
+                section,
+                unit,
+                period: period || null,
+                confidence: 0.85,
+                source: 'table',
+                table: { index: tableIndex, row: r, column: c },
+                location: {
+                    ...((table.cellLocations && table.cellLocations[r][c]) || {
+                        pageNum: table.pageNum || null,
+                        coordinates: null
+                    }),
+                    anchor: { type: 'tableCell', table: tableIndex, row: r, column: c }
+                }
+            }, { rawText: raw, statement: scaleStatement, format: numberFormat }));
+        });
+    });
+
+    return entities;
+};
+
+module.exports = {
+    isNumericCell,
+    buildTable,
+    tableToEntities
+};
@@ -0,0 +1,233 @@
+// Resolve the reporting period of every FinNI fact into an XBRL context:
+// an instant (balance sheet amounts "As of December 31, 2024") or a duration
+// with start and end dates ("Three Months Ended June 30, 2025"). Facts with
+// the same period share one context ID, so FinCL and exporters can refer to it.
+//
+// Periods are read, in order, from the fact's own inline XBRL context, its
+// period text (table column headings, the LLM's `period`), the sentence it
+// appears in, and finally the report's fiscal year. Dates are read by ./dates.
+// Date facts (dateItemType: period end, maturity and grant dates) are of the
+// report as a whole and take its reporting period (see reportingPeriod).
+
+const { MONTH_NAME, MONTH_END, monthIndex, parseDate } = require('./dates');
+
+// Lengths of the durations headings name, in months
+const DURATION_WORDS = { one: 1, three: 3, six: 6, nine: 9, twelve: 12 };
+const DURATION = /\b(one|three|six|nine|twelve|\d{1,2})[\s-]+months?\s+(?:period\s+)?end(?:ed|ing)\b/i;
+const YEAR_ENDED = /\b(?:fiscal\s+)?years?\s+end(?:ed|ing)\b/i;
+const QUARTER_ENDED = /\bquarters?\s+end(?:ed|ing)\b/i;
+const INSTANT = /\b(?:as\s+of|as\s+at|at|balance\s+at)\b/i;
+const FISCAL_YEAR = /\b(?:fy|fiscal(?:\s+year)?)\s*'?((?:19|20)?\d{2})\b/i;
+const QUARTER = /\b(?:q([1-4])\s*(?:fy)?\s*'?((?:19|20)?\d{2})|([1-4])q\s*'?((?:19|20)?\d{2}))\b/i;
+const YEAR = /\b((?:19|20)\d{2})\b/;
+
+// Labels of amounts measured at a point in time rather than over a period
+const INSTANT_LABEL = /\b(assets?|liabilit(?:y|ies)|equity|cash and cash equivalents|inventor(?:y|ies)|receivables?|payables?|debt|borrowings|goodwill|property|plant and equipment|accrued|deferred|retained earnings|shares outstanding|balance)\b/i;
+const FLOW_LABEL = /\b(increase|decrease|change|provided|used|paid|proceeds|repayments?|purchases?|issuance|expense|revenue|income|sales)\b/i;
+
+const toIso = (date) => date.toISOString().slice(0, 10);
+
+const utcDate = (year, month, day) => new Date(Date.UTC(Number(year), month, Number(day)));
+
+// Last day of a month (month may run past 11 or below 0)
+const monthEnd = (year, month) => new Date(Date.UTC(year, month + 1, 0));
+
+// Start of a duration of `months` ending on `end`
+const durationStart = (end, months) => {
+    const next = new Date(end.getTime() + 86400000);
+    return new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() - months, next.getUTCDate()));
+};
+
+const fullYear = (year) => (String(year).length === 2 ? 2000 + Number(year) : Number(year));
+
+/**
+ * The fiscal year end, as { month, day }: from the report's fiscalYear when it
+ * is a full date, else from "fiscal year ended June 30" in the text, else
+ * December 31.
+ */
+const detectFiscalYearEnd = (text = '', fiscalYear, { dateOrder } = {}) => {
+    const fromMetadata = fiscalYear ? parseDate(fiscalYear, { dateOrder }) : null;
+    if (fromMetadata) return { month: fromMetadata.getUTCMonth(), day: fromMetadata.getUTCDate() };
+
+    const phrase = new RegExp(`(?:fiscal\\s+)?years?\\s+end(?:ed|ing)\\s+${MONTH_NAME}${MONTH_END}\\s+(\\d{1,2})`, 'iu');
+    const match = text.slice(0, 20000).match(phrase);
+    if (match) return { month: monthIndex(match[1]), day: Number(match[2]) };
+    return { month: 11, day: 31 };
+};
+
+// Last day of fiscal year `year` (named after the calendar year it ends in)
+const fiscalYearEndDate = (year, fiscalYearEnd) => {
+    const { month, day } = fiscalYearEnd;
+    // Month-end year ends stay at month end (February 28/29)
+    return day >= monthEnd(year, month).getUTCDate() ? monthEnd(year, month) : utcDate(year, month, day);
+};
+
+const instantPeriod = (date) => ({ periodType: 'instant', startDate: null, endDate: toIso(date) });
+
+const durationPeriod = (start, end) => ({ periodType: 'duration', startDate: toIso(start), endDate: toIso(end) });
+
+const fiscalYearPeriod = (year, fiscalYearEnd, instant) => {
+    const end = fiscalYearEndDate(year, fiscalYearEnd);
+    return instant === true ? instantPeriod(end) : durationPeriod(durationStart(end, 12), end);
+};
+
+/**
+ * Resolve a period text ("Three Months Ended June 30, 2025", "As of December
+ * 31, 2024", "FY 2024", "Q2 2025", "2024") into { periodType, startDate,
+ * endDate } with ISO dates (startDate is null for instants). `instant` tells
+ * what a bare date or year means for the fact: true for balances (an instant
+ * at that date or year end), false for flows (the year up to it), null when
+ * unknown. `dateOrder` tells how to read numeric dates. Returns null when the
+ * text names no period.
+ */
+const resolvePeriod = (periodText, { fiscalYearEnd = { month: 11, day: 31 }, instant = null, dateOrder } = {}) => {
+    if (!periodText) return null;
+    const text = String(periodText);
+    const date = parseDate(text, { dateOrder });
+
+    const duration = text.match(DURATION);
+    if (duration && date) {
+        const months = DURATION_WORDS[duration[1].toLowerCase()] || Number(duration[1]);
+        return durationPeriod(durationStart(date, months), date);
+    }
+    if (QUARTER_ENDED.test(text) && date) return durationPeriod(durationStart(date, 3), date);
+    if (YEAR_ENDED.test(text) && date) return durationPeriod(durationStart(date, 12), date);
+
+    // "For the period from January 1, 2024 to June 30, 2024"
+    const range = text.match(/\bfrom\s+(.+?)\s+(?:to|through)\s+(.+)/i);
+    if (range && parseDate(range[1], { dateOrder }) && parseDate(range[2], { dateOrder })) {
+        return durationPeriod(parseDate(range[1], { dateOrder }), parseDate(range[2], { dateOrder }));
+    }
+
+    // A bare date heads a balance sheet column, unless the fact is a flow
+    if (date) {
+        return instant !== false || INSTANT.test(text) ? instantPeriod(date) : durationPeriod(durationStart(date, 12), date);
+    }
+
+    const quarter = text.match(QUARTER);
+    if (quarter) {
+        const q = Number(quarter[1] || quarter[3]);
+        const yearEnd = fiscalYearEndDate(fullYear(quarter[2] || quarter[4]), fiscalYearEnd);
+        const end = monthEnd(yearEnd.getUTCFullYear(), yearEnd.getUTCMonth() - (4 - q) * 3);
+        return instant === true ? instantPeriod(end) : durationPeriod(durationStart(end, 3), end);
+    }
+
+    const fiscal = text.match(FISCAL_YEAR);
+    if (fiscal) return fiscalYearPeriod(fullYear(fiscal[1]), fiscalYearEnd, instant);
+
+    const year = text.match(YEAR);
+    if (year) return fiscalYearPeriod(Number(year[1]), fiscalYearEnd, instant);
+    return null;
+};
+
+// Whether an entity's label names an amount at a point in time (true), over a
+// period (false), or cannot tell (null)
+const instantFromLabel = (label) => {
+    if (FLOW_LABEL.test(label || '')) return false;
+    return INSTANT_LABEL.test(label || '') ? true : null;
+};
+
+// Context ID of a period and dimensions, the same for every fact with them:
+// I2024-12-31 for instants, D2024-01-01_2024-12-31 for durations, followed
+// by each dimension as axis-member (without prefixes), sorted by axis:
+// D2024-01-01_2024-12-31_StatementGeographicalAxis-AmericasMember
+const localName = (qname) => String(qname).replace(/^[\w-]+:/, '');
+
+const contextIdFor = (period, dimensions = []) => {
+    const id = period.periodType === 'instant'
+        ? `I${period.endDate}`
+        : `D${period.startDate}_${period.endDate}`;
+    const parts = [...(dimensions || [])]
+        .sort((a, b) => a.axis.localeCompare(b.axis))
+        .map(({ axis, member }) => `_${localName(axis)}-${localName(member)}`);
+    return `${id}${parts.join('')}`;
+};
+
+// The reporting period: the duration of the report's fiscal year, else the
+// latest year-long duration of `entities` (already given their periods)
+const reportingPeriod = (entities, reportYear, fiscalYearEnd) => {
+    if (reportYear) return fiscalYearPeriod(reportYear, fiscalYearEnd, false);
+    const years = entities
+        .filter(entity => entity.periodType === 'duration' && (entity.dimensions || []).length === 0)
+        .filter(entity => toIso(durationStart(new Date(entity.endDate), 12)) === entity.startDate)
+        .sort((a, b) => b.endDate.localeCompare(a.endDate));
+    return years.length > 0
+        ? { periodType: 'duration', startDate: years[0].startDate, endDate: years[0].endDate }
+        : null;
+};
+
+const isDateFact = (entity) => entity.source !== 'ixbrl' && (entity.type === 'date' || entity.itemType === 'dateItemType');
+
+// The sentence (or line) of the text before `offset`, which may name a period
+const sentenceBefore = (text, offset) => text
+    .slice(Math.max(0, offset - 300), offset)
+    .split(/[.;](?=\s)|\n/)
+    .pop();
+
+/**
+ * Give every entity its period (periodType, startDate, endDate) and
+ * contextId, and list the distinct contexts. `text` is the document text
+ * (rule entities keep their offset in it), `fiscalYear` the report's
+ * metadata.fiscalYear and `dateOrder` the order of numeric dates in the
+ * document's locale. Entities with `dimensions` (inline XBRL facts) get
+ * them in their context. Returns { entities, contexts }.
+ */
+const assignContexts = (entities, { text = '', fiscalYear, dateOrder } = {}) => {
+    const fiscalYearEnd = detectFiscalYearEnd(text, fiscalYear, { dateOrder });
+    const fiscalYearDate = fiscalYear ? parseDate(fiscalYear, { dateOrder }) : null;
+    const fiscalYearMatch = fiscalYear ? String(fiscalYear).match(YEAR) : null;
+    const reportYear = fiscalYearDate
+        ? fiscalYearDate.getUTCFullYear()
+        : (fiscalYearMatch ? Number(fiscalYearMatch[1]) : null);
+
+    const withPeriod = (entity, period) => (period
+        ? { ...entity, ...period, contextId: contextIdFor(period, entity.dimensions) }
+        : { ...entity, periodType: null, startDate: null, endDate: null, contextId: null });
+
+    const withContexts = entities.map(entity => {
+        if (isDateFact(entity)) return entity;
+        const instant = instantFromLabel(entity.rowLabel || entity.description);
+        let period = entity.contextPeriod || null;
+        if (!period && entity.source !== 'ixbrl') {
+            period = resolvePeriod(entity.period, { fiscalYearEnd, instant, dateOrder });
+        }
+        if (!period && typeof entity.offset === 'number') {
+            period = resolvePeriod(sentenceBefore(text, entity.offset), { fiscalYearEnd, instant, dateOrder });
+        }
+        if (!period && reportYear) {
+            period = fiscalYearPeriod(reportYear, fiscalYearEnd, instant);
+        }
+        return withPeriod(entity, period);
+    });
+
+    const reporting = reportingPeriod(withContexts.filter(entity => !isDateFact(entity)), reportYear, fiscalYearEnd);
+    const withDates = withContexts.map(entity => (isDateFact(entity) ? withPeriod(entity, reporting) : entity));
+
+    return { entities: withDates, contexts: collectContexts(withDates) };
+};
+
+// The distinct contexts entities refer to:
+// [{ id, periodType, startDate, endDate, dimensions }]
+const collectContexts = (entities) => {
+    const contexts = new Map();
+    entities.forEach(entity => {
+        if (!entity.contextId || contexts.has(entity.contextId)) return;
+        contexts.set(entity.contextId, {
+            id: entity.contextId,
+            periodType: entity.periodType,
+            startDate: entity.startDate,
+            endDate: entity.endDate,
+            dimensions: entity.dimensions || []
+        });
+    });
+    return Array.from(contexts.values());
+};
+
+module.exports = {
+    parseDate,
+    detectFiscalYearEnd,
+    resolvePeriod,
+    contextIdFor,
+    assignContexts,
+    collectContexts
+};
@@ -0,0 +1,195 @@
+// Currencies of FinNI facts and the XBRL unit IDs an exporter emits for them:
+// iso4217:JPY for amounts, iso4217:USD/shares for per-share amounts, shares
+// and pure for the rest.
+//
+// A fact's currency is the one written with it ("HK$1,234", "CHF 56", a unit
+// of "JPY" from the LLM), else the reporting currency of the document, read
+// from its header ("(in millions of Japanese yen)") or, failing that, from
+// the currency it mentions most.
+
+const ISO_4217 = require('../../config/iso4217.json');
+
+// Symbols written before amounts, longest first so "HK$" wins over "$".
+// A bare "$" or "¥" is settled by the reporting currency (see symbolCurrency).
+const SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['HK$', 'HKD'], ['NZ$', 'NZD'],
+    ['NT$', 'TWD'], ['MX$', 'MXN'], ['CN¥', 'CNY'], ['RMB', 'CNY'], ['Rs.', 'INR'],
+    ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'], ['zł', 'PLN'],
+    ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₩', 'KRW'], ['₽', 'RUB'], ['₺', 'TRY'],
+    ['₪', 'ILS'], ['₱', 'PHP'], ['฿', 'THB'], ['₫', 'VND'], ['₦', 'NGN'],
+    ['¥', null], ['$', null]
+];
+
+// Codes that are also common English words in capitals ("ALL", "TOP"); they
+// only count as currencies where a currency is expected (units, headers)
+const AMBIGUOUS_CODES = ['ALL', 'TOP', 'CUP', 'BOB', 'MAD', 'SOS', 'PEN', 'MOP'];
+
+// Currency names as headers write them, most specific first
+const NAMES = [
+    [/\bU\.?\s?S\.?\s+dollars?\b/i, 'USD'],
+    [/\bcanadian\s+dollars?\b/i, 'CAD'],
+    [/\baustralian\s+dollars?\b/i, 'AUD'],
+    [/\bhong\s+kong\s+dollars?\b/i, 'HKD'],
+    [/\bnew\s+zealand\s+dollars?\b/i, 'NZD'],
+    [/\bsingapore\s+dollars?\b/i, 'SGD'],
+    [/\bnew\s+taiwan\s+dollars?\b/i, 'TWD'],
+    [/\b(?:japanese\s+)?yen\b/i, 'JPY'],
+    [/\brenminbi\b|\b(?:chinese\s+)?yuan\b/i, 'CNY'],
+    [/\bswiss\s+francs?\b/i, 'CHF'],
+    [/\beuros?\b/i, 'EUR'],
+    [/\bpounds?\s+sterling\b|\bbritish\s+pounds?\b|\bsterling\b/i, 'GBP'],
+    [/\bindian\s+rupees?\b/i, 'INR'],
+    [/\bkorean\s+won\b/i, 'KRW'],
+    [/\bbrazilian\s+reais\b|\breais\b/i, 'BRL'],
+    [/\bmexican\s+pesos?\b/i, 'MXN'],
+    [/\bswedish\s+kron(?:a|or)\b/i, 'SEK'],
+    [/\bnorwegian\s+kron(?:e|er)\b/i, 'NOK'],
+    [/\bdanish\s+kron(?:e|er)\b/i, 'DKK'],
+    [/\bsouth\s+african\s+rand\b/i, 'ZAR'],
+    [/\brussian\s+rubles?\b/i, 'RUB'],
+    [/\bdollars?\b/i, 'USD']
+];
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CODES = Object.keys(ISO_4217).filter(code => !AMBIGUOUS_CODES.includes(code));
+
+// A currency written before an amount: a symbol (not inside a word, so the
+// "S$" of "US$" is not read alone) or an ISO 4217 code. The source of a
+// regular expression, to be built into larger ones.
+const CURRENCY_SYMBOL_PATTERN = `(?<![A-Za-z])(?:${SYMBOLS.map(([symbol]) => escape(symbol)).join('|')})`;
+const CURRENCY_PATTERN = `(?:${CURRENCY_SYMBOL_PATTERN}|\\b(?:${CODES.join('|')})\\b)`;
+
+const CURRENCY = new RegExp(CURRENCY_PATTERN);
+
+const isIsoCurrency = (code) => Object.prototype.hasOwnProperty.call(ISO_4217, String(code || '').toUpperCase());
+
+// Currency of a symbol: "$" is the reporting currency when that is another
+// dollar or peso, "¥" when it is the renminbi
+const symbolCurrency = (symbol, reportingCurrency) => {
+    const entry = SYMBOLS.find(([written]) => written.toLowerCase() === symbol.toLowerCase());
+    if (!entry) return null;
+    if (entry[1]) return entry[1];
+    const reporting = reportingCurrency && ISO_4217[reportingCurrency];
+    if (symbol === '$') return reporting && /Dollar|Peso/.test(reporting.name) ? reportingCurrency : 'USD';
+    return reportingCurrency === 'CNY' ? 'CNY' : 'JPY';
+};
+
+/**
+ * The currency `text` names, as an ISO 4217 code: a code ("JPY", "usd
+ * thousands"), a symbol ("HK$1,234") or a name ("Japanese yen"). Null when it
+ * names none.
+ */
+const currencyIn = (text, { reportingCurrency = null, names = true } = {}) => {
+    const written = String(text || '').trim();
+    // A unit of just a code may be one of the ambiguous ones ("PEN")
+    if (/^[A-Z]{3}$/.test(written) && isIsoCurrency(written)) return written;
+
+    const tokens = written.match(/\b[A-Za-z]{3}\b/g) || [];
+    const code = tokens.find(token => CODES.includes(token));
+    if (code) return code;
+    const symbol = written.match(new RegExp(CURRENCY_SYMBOL_PATTERN, 'i'));
+    if (symbol) return symbolCurrency(symbol[0], reportingCurrency);
+    if (names) {
+        const name = NAMES.find(([pattern]) => pattern.test(written));
+        if (name) return name[1];
+    }
+    // A lower-case unit such as "usd" or "jpy thousands"
+    const lowerCode = tokens.find(token => CODES.includes(token.toUpperCase()));
+    return lowerCode ? lowerCode.toUpperCase() : null;
+};
+
+// Header phrases that state the currency of the whole document:
+// "(in millions of Japanese yen)", "(HK$ in thousands)", "RMB'000",
+// "expressed in Canadian dollars", "presentation currency is the euro"
+const CURRENCY_MENTION = `(?:${CURRENCY_PATTERN}|\\b(?:ALL|TOP|CUP|BOB|MAD|SOS|PEN|MOP)\\b|(?:[A-Za-z.]+\\s+){0,2}(?:dollars?|yen|yuan|renminbi|francs?|euros?|pounds?|sterling|rupees?|won|reais|pesos?|kron(?:a|or|e|er)|rand|rubles?))`;
+const HEADER_PHRASES = [
+    new RegExp(`\\b(?:in|of)\\s+(?:thousands|millions|billions)\\s+of\\s+(${CURRENCY_MENTION})`, 'i'),
+    new RegExp(`\\(\\s*(${CURRENCY_MENTION})\\s*(?:in\\s+)?(?:thousands|millions|billions|['’]?000['’]?s?)`, 'i'),
+    new RegExp(`(${CURRENCY_MENTION})\\s?['’]000`, 'i'),
+    new RegExp(`\\b(?:expressed|presented|stated|reported)\\s+in\\s+(?:thousands\\s+of\\s+|millions\\s+of\\s+)?(${CURRENCY_MENTION})`, 'i'),
+    new RegExp(`\\b(?:reporting|presentation|functional)\\s+currency\\s+(?:is\\s+|of\\s+)?(?:the\\s+)?(${CURRENCY_MENTION})`, 'i')
+];
+
+// How far into the document its header phrases are looked for
+const HEADER_LENGTH = 5000;
+
+/**
+ * The reporting currency of a document, as an ISO 4217 code: the one its
+ * header states, else the one its amounts are written in most often. Null
+ * when the document names no currency.
+ */
+const detectReportingCurrency = (text = '') => {
+    const header = String(text).slice(0, HEADER_LENGTH);
+    for (const phrase of HEADER_PHRASES) {
+        const match = header.match(phrase);
+        const currency = match && currencyIn(match[1]);
+        if (currency) return currency;
+    }
+
+    const counts = {};
+    const mentions = new RegExp(CURRENCY_PATTERN, 'g');
+    let match;
+    while ((match = mentions.exec(text)) !== null) {
+        const currency = currencyIn(match[0], { names: false });
+        if (currency) counts[currency] = (counts[currency] || 0) + 1;
+    }
+    const [mostUsed] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return mostUsed ? mostUsed[0] : null;
+};
+
+// Item types whose facts are amounts of a currency
+const CURRENCY_ITEM_TYPES = ['monetaryItemType', 'perShareItemType'];
+
+/**
+ * The currency of an entity of a currency item type: from its unit, then from
+ * its value as written, then the document's reporting currency. Null for the
+ * other item types.
+ */
+const currencyOf = (entity, { reportingCurrency = null } = {}) => {
+    if (!CURRENCY_ITEM_TYPES.includes(entity.itemType)) return null;
+    const unit = entity.unit && entity.unit !== 'unknown' ? entity.unit : '';
+    return currencyIn(unit, { reportingCurrency }) ||
+        currencyIn(entity.rawText, { reportingCurrency, names: false }) ||
+        reportingCurrency;
+};
+
+/**
+ * The XBRL unit ID of a fact of `itemType` in `currency`: 'iso4217:JPY',
+ * 'iso4217:USD/shares', 'shares' or 'pure'. Null for dates, which take no
+ * unit, and for amounts of an unknown currency.
+ */
+const unitIdFor = (itemType, currency) => {
+    switch (itemType) {
+        case 'monetaryItemType':
+            return currency ? `iso4217:${currency}` : null;
+        case 'perShareItemType':
+            return currency ? `iso4217:${currency}/shares` : null;
+        case 'sharesItemType':
+            return 'shares';
+        case 'percentItemType':
+        case 'pureItemType':
+        case 'integerItemType':
+            return 'pure';
+        default:
+            return null;
+    }
+};
+
+// The unit ID of an xbrli:unit measure as inline XBRL writes it:
+// 'iso4217:USD/xbrli:shares' is 'iso4217:USD/shares', 'xbrli:pure' is 'pure'
+const unitIdFromMeasure = (measure) => (measure
+    ? measure.split('/').map(part => part.trim().replace(/^xbrli:/i, '')).join('/')
+    : null);
+
+module.exports = {
+    CURRENCY_SYMBOL_PATTERN,
+    CURRENCY_PATTERN,
+    CURRENCY,
+    isIsoCurrency,
+    currencyIn,
+    detectReportingCurrency,
+    currencyOf,
+    unitIdFor,
+    unitIdFromMeasure
+};
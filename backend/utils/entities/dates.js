@@ -0,0 +1,161 @@
+// Dates written in a document, read into JavaScript dates for periods and
+// into ISO 8601 values ("2024-12-31") for date facts such as balance sheet,
+// maturity and grant dates.
+//
+// Dates may be written in English, German, French, Spanish, Italian, Dutch or
+// Portuguese ("31. Dezember 2024", "31 décembre 2024"); numeric dates are
+// read in the document locale's order ("31.12.2024", "12/31/2024").
+
+// Month names and abbreviations, by month
+const MONTH_NAMES = [
+    ['january', 'jan', 'januar', 'jänner', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+    ['february', 'feb', 'februar', 'février', 'févr', 'fevrier', 'febrero', 'febbraio', 'februari', 'fevereiro', 'fev'],
+    ['march', 'mar', 'märz', 'maerz', 'mars', 'marzo', 'maart', 'março', 'marco'],
+    ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+    ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+    ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+    ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+    ['august', 'aug', 'août', 'aout', 'agosto', 'ago', 'augustus'],
+    ['september', 'sep', 'sept', 'septembre', 'septiembre', 'setiembre', 'settembre', 'set', 'setembro'],
+    ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+    ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+    ['december', 'dec', 'dezember', 'dez', 'décembre', 'déc', 'diciembre', 'dic', 'dicembre', 'dezembro']
+];
+const MONTH_INDEX = new Map(MONTH_NAMES.flatMap((names, month) => names.map(name => [name, month])));
+// Longest first, so "june" is not read as "jun"
+const MONTH_NAME = `(${Array.from(MONTH_INDEX.keys()).sort((a, b) => b.length - a.length).join('|')})\\.?`;
+// A month name must end its word ("mar" is not the start of "market")
+const MONTH_END = '(?![\\p{L}])';
+
+// Month abbreviations that are also common words ("may", "set", "out"); in
+// lower case they only count as months in a full date
+const WORD_MONTHS = ['may', 'mar', 'set', 'out', 'ago', 'gen', 'mag'];
+
+const monthIndex = (name) => {
+    const month = MONTH_INDEX.get(name.toLowerCase().replace('.', ''));
+    return month === undefined ? -1 : month;
+};
+
+// Numeric dates by locale date order: day, month and year positions
+const NUMERIC_ORDERS = {
+    mdy: m => [m[4], Number(m[1]) - 1, m[3]],
+    dmy: m => [m[4], Number(m[3]) - 1, m[1]]
+};
+
+// "June 30, 2025", "30 June 2025", "30. Juni 2025", "1er juillet 2025",
+// "30 de junio de 2025", "2025-06-30", and "6/30/2025" or "30.06.2025"
+const DATE_PATTERNS = [
+    { regex: new RegExp(`(?<![\\p{L}])${MONTH_NAME}${MONTH_END}\\s+(\\d{1,2}),?\\s+((?:19|20)\\d{2})\\b`, 'iu'), parts: m => [m[3], monthIndex(m[1]), m[2]] },
+    { regex: new RegExp(`\\b(\\d{1,2})(?:\\.|er)?\\s+(?:de\\s+)?${MONTH_NAME}${MONTH_END},?\\s+(?:de\\s+)?((?:19|20)\\d{2})\\b`, 'iu'), parts: m => [m[3], monthIndex(m[2]), m[1]] },
+    { regex: /\b((?:19|20)\d{2})-(\d{2})-(\d{2})\b/, parts: m => [m[1], Number(m[2]) - 1, m[3]] },
+    { regex: /\b(\d{1,2})([./-])(\d{1,2})\2((?:19|20)\d{2})\b/, parts: (m, dateOrder) => NUMERIC_ORDERS[dateOrder](m) }
+];
+
+// Dates without a day or without a year, which XBRL writes as gYearMonth
+// ("2025-06") and gMonthDay ("--06-30"): "June 2025", "juin 2025",
+// "June 30", "30 June"
+const PARTIAL_PATTERNS = [
+    { regex: new RegExp(`(?<![\\p{L}\\d.])${MONTH_NAME}${MONTH_END},?\\s+(?:de\\s+)?((?:19|20)\\d{2})\\b`, 'iu'), month: 1, year: 2 },
+    { regex: new RegExp(`(?<![\\p{L}])${MONTH_NAME}${MONTH_END}\\s+(\\d{1,2})\\b(?![.,]?\\d)`, 'iu'), month: 1, day: 2 },
+    { regex: new RegExp(`(?<![\\d.,])\\b(\\d{1,2})(?:\\.|er)?\\s+(?:de\\s+)?${MONTH_NAME}${MONTH_END}`, 'iu'), month: 2, day: 1 }
+];
+
+const utcDate = (year, month, day) => new Date(Date.UTC(Number(year), month, Number(day)));
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// The date a full date match names, or null when there is no such day
+const dateOf = ({ parts }, match, dateOrder) => {
+    const [year, month, day] = parts(match, dateOrder);
+    if (month < 0 || month > 11) return null;
+    const date = utcDate(year, month, day);
+    return !Number.isNaN(date.getTime()) && date.getUTCDate() === Number(day) ? date : null;
+};
+
+/**
+ * The first full date in `text` as a UTC date, reading numeric dates in
+ * `dateOrder` ('mdy' or 'dmy'). Null when the text names no valid date.
+ */
+const parseDate = (text, { dateOrder = 'mdy' } = {}) => {
+    for (const pattern of DATE_PATTERNS) {
+        const match = String(text).match(pattern.regex);
+        const date = match && dateOf(pattern, match, dateOrder);
+        if (date) return date;
+    }
+    return null;
+};
+
+// The ISO value of a partial date match, or null when it is not a date
+const partialValue = ({ month: monthGroup, day: dayGroup, year: yearGroup }, match) => {
+    const name = match[monthGroup];
+    if (WORD_MONTHS.includes(name) && name === name.toLowerCase()) return null;
+    const month = monthIndex(name);
+    if (month < 0) return null;
+    if (yearGroup) return `${match[yearGroup]}-${pad(month + 1)}`;
+    const day = Number(match[dayGroup]);
+    if (day < 1 || day > utcDate(2024, month + 1, 0).getUTCDate()) return null;
+    return `--${pad(month + 1)}-${pad(day)}`;
+};
+
+const allMatches = (regex, text) => Array.from(text.matchAll(new RegExp(regex.source, `${regex.flags}g`)));
+
+/**
+ * Every date written in `text`, as [{ offset, end, rawText, value }] in text
+ * order. `value` is ISO 8601: '2024-12-31' for full dates, '2025-06' for a
+ * month and year, '--06-30' for a day and month. Where dates overlap the
+ * longest one is kept ("June 30, 2025" rather than "June 30").
+ */
+const findDates = (text, { dateOrder = 'mdy' } = {}) => {
+    const source = String(text || '');
+    const found = [];
+    DATE_PATTERNS.forEach(pattern => {
+        allMatches(pattern.regex, source).forEach(match => {
+            const date = dateOf(pattern, match, dateOrder);
+            if (date) found.push({ offset: match.index, rawText: match[0], value: date.toISOString().slice(0, 10) });
+        });
+    });
+    PARTIAL_PATTERNS.forEach(pattern => {
+        allMatches(pattern.regex, source).forEach(match => {
+            const value = partialValue(pattern, match);
+            if (value) found.push({ offset: match.index, rawText: match[0], value });
+        });
+    });
+
+    found.sort((a, b) => a.offset - b.offset || b.rawText.length - a.rawText.length);
+    const dates = [];
+    found.forEach(date => {
+        const end = date.offset + date.rawText.length;
+        const last = dates[dates.length - 1];
+        if (last && date.offset < last.end) return;
+        dates.push({ ...date, end });
+    });
+    return dates;
+};
+
+// `text` with the `dates` found in it blanked out, offsets unchanged, so that
+// their digits are not read as numbers
+const blankDates = (text, dates) => dates.reduce((blanked, date) => blanked.slice(0, date.offset) +
+    ' '.repeat(date.end - date.offset) +
+    blanked.slice(date.end), String(text || ''));
+
+/**
+ * The ISO 8601 value of a date as written ("December 31, 2024" is
+ * '2024-12-31'), or of a bare year ('2024'). Null when it is not a date.
+ */
+const toIsoDate = (written, { dateOrder } = {}) => {
+    const text = String(written || '').trim();
+    const [date] = findDates(text, { dateOrder });
+    if (date) return date.value;
+    const year = text.match(/^((?:19|20)\d{2})$/);
+    return year ? year[1] : null;
+};
+
+module.exports = {
+    MONTH_NAME,
+    MONTH_END,
+    monthIndex,
+    parseDate,
+    findDates,
+    blankDates,
+    toIsoDate
+};
@@ -0,0 +1,218 @@
+// Breakdowns of facts and the XBRL dimensions (axis and member) they stand
+// for. "Revenue by geography: Americas $1,234, EMEA $567" gives two Revenue
+// facts that are not the consolidated total but its Americas and EMEA parts;
+// their contexts need srt:StatementGeographicalAxis with srt:AmericasMember
+// and us-gaap:EMEAMember so they do not collide with the total.
+//
+// FinNI gives such facts a `breakdown`: { kind, member, lineItem }, where
+// kind is 'segment', 'product', 'geography' or 'equityComponent', member the
+// label as written ("Americas") and lineItem what is broken down
+// ("Revenue"), when the heading says.
+// FinCL turns it into `dimensions`: [{ axis, member }] (see dimensionsFor).
+
+// Headings and sentences that introduce a breakdown, most specific first
+const BREAKDOWN_HEADINGS = [
+    ['equityComponent', /\b(?:statements?\s+of\s+(?:changes\s+in\s+)?(?:stockholders|shareholders)['’]?\s+equity|changes\s+in\s+(?:stockholders['’]?\s+|shareholders['’]?\s+)?equity|components\s+of\s+equity)\b/i],
+    ['segment', /\b(?:by\s+(?:(?:operating|business|reportable)\s+)?segments?|segment\s+(?:information|reporting|results|revenues?|data))\b/i],
+    ['geography', /\b(?:by\s+(?:geograph(?:y|ic\s+areas?|ical\s+areas?)|regions?|countr(?:y|ies)|markets?)|geograph(?:ic|ical)\s+(?:information|areas?|regions?|breakdown|data)|regional\s+(?:information|breakdown))\b/i],
+    ['product', /\b(?:by\s+(?:products?(?:\s+lines?)?|products?\s+and\s+services|service\s+lines?|product\s+categor(?:y|ies)|categor(?:y|ies)|type\s+of\s+(?:product|revenue))|product\s+lines?|disaggregat(?:ed|ion\s+of)\s+revenues?)\b/i]
+];
+
+// Axis of each kind of breakdown
+const AXES = {
+    segment: 'us-gaap:StatementBusinessSegmentsAxis',
+    product: 'srt:ProductOrServiceAxis',
+    geography: 'srt:StatementGeographicalAxis',
+    equityComponent: 'us-gaap:StatementEquityComponentsAxis'
+};
+
+// Members of the standard taxonomies, by kind; other members are the
+// filer's own, in its extension taxonomy
+const STANDARD_MEMBERS = {
+    geography: [
+        [/^americas$/i, 'srt:AmericasMember'],
+        [/^north\s+america$/i, 'srt:NorthAmericaMember'],
+        [/^latin\s+america$/i, 'srt:LatinAmericaMember'],
+        [/^south\s+america$/i, 'srt:SouthAmericaMember'],
+        [/^emea$|^europe,?\s+(?:the\s+)?middle\s+east,?\s+(?:and|&)\s+africa$/i, 'us-gaap:EMEAMember'],
+        [/^europe$/i, 'srt:EuropeMember'],
+        [/^asia[\s-]+pacific$|^apac$/i, 'srt:AsiaPacificMember'],
+        [/^asia$/i, 'srt:AsiaMember'],
+        [/^africa$/i, 'srt:AfricaMember'],
+        [/^middle\s+east$/i, 'srt:MiddleEastMember'],
+        [/^(?:the\s+)?united\s+states(?:\s+of\s+america)?$|^u\.s\.a?\.?$/i, 'country:US'],
+        [/^canada$/i, 'country:CA'],
+        [/^mexico$/i, 'country:MX'],
+        [/^brazil$/i, 'country:BR'],
+        [/^(?:the\s+)?united\s+kingdom$|^u\.?k\.?$/i, 'country:GB'],
+        [/^germany$/i, 'country:DE'],
+        [/^france$/i, 'country:FR'],
+        [/^(?:the\s+)?netherlands$/i, 'country:NL'],
+        [/^switzerland$/i, 'country:CH'],
+        [/^ireland$/i, 'country:IE'],
+        [/^china$|^(?:the\s+)?people['’]s\s+republic\s+of\s+china$|^prc$/i, 'country:CN'],
+        [/^hong\s+kong$/i, 'country:HK'],
+        [/^japan$/i, 'country:JP'],
+        [/^india$/i, 'country:IN'],
+        [/^(?:south\s+)?korea$/i, 'country:KR'],
+        [/^taiwan$/i, 'country:TW'],
+        [/^singapore$/i, 'country:SG'],
+        [/^australia$/i, 'country:AU']
+    ],
+    product: [
+        [/^products?$/i, 'us-gaap:ProductMember'],
+        [/^services?$/i, 'us-gaap:ServiceMember']
+    ],
+    equityComponent: [
+        [/^common\s+(?:stock|shares)(?:\s+amount)?$|^share\s+capital$/i, 'us-gaap:CommonStockMember'],
+        [/^preferred\s+(?:stock|shares)$/i, 'us-gaap:PreferredStockMember'],
+        [/^additional\s+paid[\s-]+in\s+capital$|^capital\s+surplus$/i, 'us-gaap:AdditionalPaidInCapitalMember'],
+        [/^retained\s+earnings(?:\s*\(accumulated\s+deficit\))?$|^accumulated\s+deficit$/i, 'us-gaap:RetainedEarningsMember'],
+        [/^accumulated\s+other\s+comprehensive\s+(?:income|loss|income\s*\(loss\))$/i, 'us-gaap:AccumulatedOtherComprehensiveIncomeMember'],
+        [/^treasury\s+(?:stock|shares)$/i, 'us-gaap:TreasuryStockCommonMember'],
+        [/^non-?controlling\s+interests?$/i, 'us-gaap:NoncontrollingInterestMember'],
+        [/^(?:total\s+)?(?:stockholders|shareholders)['’]?\s+equity\s+attributable\s+to\s+(?:the\s+)?parent$/i, 'us-gaap:ParentMember']
+    ]
+};
+
+// Prefix of the filer's extension taxonomy, for members no standard
+// taxonomy has ("ext:CloudServicesSegmentMember")
+const EXTENSION_PREFIX = 'ext';
+
+// Labels of the whole rather than a part: the consolidated total has no
+// dimension
+const TOTAL_LABEL = /^(?:total|consolidated|all\s+(?:regions|segments|other)|worldwide|group\s+total)\b/i;
+
+// Words around the label of a member in running text ("EMEA revenue was")
+const LABEL_TAIL = /\s+(?:was|were|is|are|of|at|to|totaled|totalled|amounted\s+to|reached|increased\s+to|decreased\s+to)$/i;
+const LABEL_HEAD = /^(?:and|or|in|from|with|while|whereas|the)\s+/i;
+
+const cleanLabel = (label) => String(label || '')
+    .replace(/\(\d\)|\*+/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s:(–—-]+$/, '')
+    .trim();
+
+// A label that names a member: a few words with letters, not a total
+const isMemberLabel = (label) => Boolean(label) &&
+    /\p{L}/u.test(label) &&
+    label.split(' ').length <= 6 &&
+    !TOTAL_LABEL.test(label);
+
+const standardMember = (kind, label) => {
+    const found = (STANDARD_MEMBERS[kind] || []).find(([pattern]) => pattern.test(cleanLabel(label)));
+    return found ? found[1] : null;
+};
+
+// Kind of breakdown a heading or sentence introduces, or null
+const headingKind = (text) => {
+    const found = BREAKDOWN_HEADINGS.find(([, pattern]) => pattern.test(text || ''));
+    return found ? found[0] : null;
+};
+
+// What a heading breaks down: "Revenue" in "Revenue by geography"
+const lineItemOf = (heading) => {
+    const match = String(heading || '').match(/([A-Za-z][\w'’-]*(?:\s+[A-Za-z][\w'’-]*){0,3})\s+by\s+\w/i);
+    if (!match) return null;
+    const words = match[1].split(/\s+/);
+    // "The following table presents revenue" is revenue
+    const start = words.findIndex(word => !/^(?:the|following|table|presents|shows|sets|forth|summarizes|our|of|total)$/i.test(word));
+    return start === -1 ? null : words.slice(start).join(' ');
+};
+
+const breakdown = (kind, member, lineItem) => ({ kind, member, lineItem: lineItem || null });
+
+// Breakdown of a table cell: the table's heading names the kind; members are
+// row labels, or column headings for the components of equity. Row labels
+// naming a region need no heading.
+const tableBreakdown = (entity, table) => {
+    const heading = [table.caption || '', ...table.headerRows.flat()].join(' ');
+    const kind = headingKind(heading);
+    const rowLabel = cleanLabel(entity.rowLabel);
+
+    if (kind === 'equityComponent') {
+        const column = cleanLabel(String(table.columnPeriods[entity.table.column] || '')
+            .replace(/\b(?:19|20)\d{2}\b/g, ''));
+        return isMemberLabel(column) ? breakdown(kind, column, null) : null;
+    }
+    if (kind && isMemberLabel(rowLabel)) return breakdown(kind, rowLabel, lineItemOf(heading));
+    if (standardMember('geography', rowLabel) && isMemberLabel(rowLabel)) {
+        return breakdown('geography', rowLabel, lineItemOf(heading));
+    }
+    return null;
+};
+
+// Breakdown of a number in running text: the label right before it
+// ("Americas" in "Revenue by geography: Americas $1,234") is the member of
+// the breakdown its sentence introduces, or of the regions when it names one
+const textBreakdown = (text, offset) => {
+    const sentence = text.slice(Math.max(0, offset - 300), offset).split(/(?<=[.;])\s|\n/).pop();
+    const label = cleanLabel(sentence.split(/[,:;]|\band\b/).pop()
+        .replace(/[^\p{L}\s.'’&-]+$/u, '')
+        .replace(LABEL_TAIL, '')
+        .replace(LABEL_HEAD, ''));
+    if (!isMemberLabel(label)) return null;
+
+    const kind = headingKind(sentence);
+    if (kind && kind !== 'equityComponent') return breakdown(kind, label, lineItemOf(sentence));
+    return standardMember('geography', label) ? breakdown('geography', label, lineItemOf(sentence)) : null;
+};
+
+// Breakdown named in a description, for entities not placed in the text:
+// "Revenue from Americas", "Net sales - Europe"
+const descriptionBreakdown = (description) => {
+    const match = String(description || '').match(/(?:\b(?:in|from|for)\s+(?:the\s+)?|\s[-–—:]\s*)([A-Z][\w.,'’&\s-]{1,50}?)\s*(?:\(|$)/);
+    if (!match || !standardMember('geography', match[1])) return null;
+    return breakdown('geography', cleanLabel(match[1]), null);
+};
+
+/**
+ * Give the entities that belong to a breakdown their `breakdown`
+ * ({ kind, member, lineItem }), from the heading of their table, the sentence
+ * they appear in (entities with an offset in `text`) or their description.
+ * Table facts of a breakdown also get the line item in their description
+ * ("Revenue: Americas (2024)"). Facts from inline XBRL keep the dimensions
+ * their filing declares.
+ */
+const assignBreakdowns = (entities, { text = '', tables = [] } = {}) => entities.map(entity => {
+    if (entity.source === 'ixbrl') return entity;
+    const table = entity.table && tables[entity.table.index];
+    let found = null;
+    if (table) {
+        found = tableBreakdown(entity, table);
+    } else if (typeof entity.offset === 'number') {
+        found = textBreakdown(text, entity.offset);
+    }
+    found = found || (table ? null : descriptionBreakdown(entity.description));
+    if (!found) return entity;
+
+    const description = table && found.lineItem && entity.description
+        ? `${found.lineItem}: ${entity.description}`
+        : entity.description;
+    return { ...entity, description, breakdown: found };
+});
+
+const pascalCase = (label) => cleanLabel(label)
+    .split(/[^\p{L}\d]+/u)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('')
+    .replace(/^\d+/, '');
+
+/**
+ * The XBRL dimensions of a breakdown: [{ axis, member }] with the axis of its
+ * kind and the standard member of its label, else a member of the filer's
+ * extension taxonomy. Empty for facts without a breakdown.
+ */
+const dimensionsFor = (found) => {
+    if (!found || !AXES[found.kind]) return [];
+    const suffix = found.kind === 'segment' ? 'SegmentMember' : 'Member';
+    const name = pascalCase(found.member).replace(/(?:Segment)?Member$/, '');
+    const member = standardMember(found.kind, found.member) || (name ? `${EXTENSION_PREFIX}:${name}${suffix}` : null);
+    return member ? [{ axis: AXES[found.kind], member }] : [];
+};
+
+module.exports = {
+    assignBreakdowns,
+    dimensionsFor
+};
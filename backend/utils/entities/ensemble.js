@@ -0,0 +1,147 @@
+// Reconcile the entities found by the LLM with those of the rule-based
+// extractor over the same text (FinNI's "ensemble" extraction mode).
+//
+// Entities are aligned on their numeric value (also when the LLM scaled a
+// figure from a statement "in thousands"), dates on their ISO value, and on
+// their position: LLM entities are placed in the text by looking for that
+// value within the chunk they came from, and each is paired with at most one
+// rule entity, the nearest of that value. Every entity gets a `source` ('llm+rules', 'llm' or 'rules') and a list of `flags`:
+//   - both sources agree: confidence is raised (noisy-or of the two)
+//   - 'possibly_missed_by_llm': only the rules found it, in a chunk the LLM read
+//   - 'possible_hallucination': only the LLM found it, and the value is
+//     nowhere in the text
+
+const { DEFAULT_LOCALE, numberFormatFor, numberPattern, toCanonicalNumber } = require('./locales');
+const { findDates, blankDates } = require('./dates');
+
+// Scales a statement may present amounts in ("in thousands", ...)
+const SCALES = [1, 1e3, 1e6, 1e9];
+
+const FLAG_POSSIBLY_MISSED = 'possibly_missed_by_llm';
+const FLAG_POSSIBLE_HALLUCINATION = 'possible_hallucination';
+
+// Magnitude of a value such as "-1,234.5" or "(56)"; signs are written too
+// many ways to compare
+const numericValue = (value) => Math.abs(parseFloat(String(value).replace(/[^0-9.-]/g, '')));
+
+// What entities are aligned on: the magnitude of numbers, the ISO value of dates
+const valueKey = (entity) => (entity.type === 'date' ? `date:${entity.value}` : numericValue(entity.value));
+
+// Offsets of every number in the text (written in the locale of `format`), by
+// value, and of every date, by valueKey
+const indexNumbers = (text, format) => {
+    const offsets = new Map();
+    const dates = findDates(text, { dateOrder: format.dateOrder });
+    dates.forEach(date => {
+        const key = `date:${date.value}`;
+        if (!offsets.has(key)) offsets.set(key, []);
+        offsets.get(key).push(date.offset);
+    });
+    const numbers = blankDates(text, dates);
+    const numberToken = new RegExp(numberPattern(format), 'g');
+    let match;
+    while ((match = numberToken.exec(numbers)) !== null) {
+        const value = parseFloat(toCanonicalNumber(match[0], format));
+        if (!offsets.has(value)) offsets.set(value, []);
+        offsets.get(value).push(match.index);
+    }
+    return offsets;
+};
+
+const combineConfidence = (a, b) => Math.round((1 - (1 - (a || 0)) * (1 - (b || 0))) * 100) / 100;
+
+/**
+ * Merge `llmEntities` (with chunkIndex) and `ruleEntities` (with offset) found
+ * in `text`. `chunks` are the chunks sent to the LLM and `processedChunks` the
+ * indexes of those it answered; `numberFormat` is how the text writes numbers
+ * (see ./locales). Entity values are canonical. Returns the reconciled entities.
+ */
+const reconcileEntities = ({ text, llmEntities, ruleEntities, chunks, processedChunks, numberFormat = numberFormatFor(DEFAULT_LOCALE) }) => {
+    const offsets = indexNumbers(text || '', numberFormat);
+    const processed = chunks.filter(chunk => processedChunks.includes(chunk.index));
+    const inProcessedChunk = offset => processed.some(chunk => offset >= chunk.start && offset < chunk.end);
+
+    const rulesByValue = new Map();
+    ruleEntities.forEach(entity => {
+        const value = valueKey(entity);
+        if (!rulesByValue.has(value)) rulesByValue.set(value, []);
+        rulesByValue.get(value).push(entity);
+    });
+    // Rule entities already paired with an LLM entity, and the offsets of
+    // the text LLM entities were placed at
+    const paired = new Set();
+    const placed = new Set();
+
+    const fromLlm = llmEntities.map(entity => {
+        // The value as written in the text, if it is there at some scale
+        const magnitude = valueKey(entity);
+        const scale = entity.type === 'date'
+            ? 1
+            : SCALES.find(s => offsets.has(magnitude / s) || rulesByValue.has(magnitude / s)) || 1;
+        const value = entity.type === 'date' ? magnitude : magnitude / scale;
+        const chunk = chunks[entity.chunkIndex];
+        const inChunk = offset => Boolean(chunk) && typeof offset === 'number' && offset >= chunk.start && offset < chunk.end;
+        // The first occurrence in its chunk not taken by another LLM entity
+        const occurrences = offsets.get(value) || [];
+        const free = occurrences.filter(offset => !placed.has(offset));
+        const offset = free.find(inChunk) ?? occurrences.find(inChunk) ?? (occurrences.length > 0 ? occurrences[0] : null);
+        if (offset !== null) placed.add(offset);
+
+        const candidates = (rulesByValue.get(value) || []).filter(candidate => !paired.has(candidate));
+        if (candidates.length > 0) {
+            // Prefer a rule entity in the same chunk, of the same type, then the nearest one
+            const distance = candidate => Math.abs((candidate.offset || 0) - (offset || 0));
+            const partner = [...candidates].sort((a, b) =>
+                (inChunk(a.offset) ? 0 : 1) - (inChunk(b.offset) ? 0 : 1) ||
+                (a.type === entity.type ? 0 : 1) - (b.type === entity.type ? 0 : 1) ||
+                distance(a) - distance(b)
+            )[0];
+            paired.add(partner);
+            return {
+                ...entity,
+                offset: offset !== null ? offset : partner.offset,
+                confidence: combineConfidence(entity.confidence, partner.confidence),
+                source: 'llm+rules',
+                flags: []
+            };
+        }
+
+        return {
+            ...entity,
+            offset,
+            source: 'llm',
+            flags: occurrences.length > 0 ? [] : [FLAG_POSSIBLE_HALLUCINATION]
+        };
+    });
+
+    const fromRules = ruleEntities
+        .filter(entity => !paired.has(entity))
+        .map(entity => {
+            const missed = typeof entity.offset === 'number' && inProcessedChunk(entity.offset);
+            return {
+                ...entity,
+                source: 'rules',
+                flags: missed ? [FLAG_POSSIBLY_MISSED] : []
+            };
+        });
+
+    return [...fromLlm, ...fromRules];
+};
+
+// Count reconciled entities by outcome:
+// { agreed, llmOnly, ruleOnly, possiblyMissed, possibleHallucinations }
+const summarizeEnsemble = (entities) => ({
+    agreed: entities.filter(entity => entity.source === 'llm+rules').length,
+    llmOnly: entities.filter(entity => entity.source === 'llm').length,
+    ruleOnly: entities.filter(entity => entity.source === 'rules').length,
+    possiblyMissed: entities.filter(entity => (entity.flags || []).includes(FLAG_POSSIBLY_MISSED)).length,
+    possibleHallucinations: entities.filter(entity => (entity.flags || []).includes(FLAG_POSSIBLE_HALLUCINATION)).length
+});
+
+module.exports = {
+    valueKey,
+    FLAG_POSSIBLY_MISSED,
+    FLAG_POSSIBLE_HALLUCINATION,
+    reconcileEntities,
+    summarizeEnsemble
+};
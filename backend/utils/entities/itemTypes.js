@@ -0,0 +1,109 @@
+// XBRL item types of FinNI facts, the data types FinCL concepts and the
+// FinNI/FinCL evaluation sets use. Every entity, whichever extractor found it,
+// gets its itemType from classifyItemType, so the rule-based and LLM paths
+// agree and FinCL can keep facts to concepts of the same type.
+
+const { CURRENCY } = require('./currencies');
+
+const ITEM_TYPES = [
+    'monetaryItemType',
+    'perShareItemType',
+    'sharesItemType',
+    'percentItemType',
+    'pureItemType',
+    'integerItemType',
+    'dateItemType'
+];
+
+// Labels of per-share amounts ("Earnings per share", "EPS", "per-share data")
+const PER_SHARE = /\bper[\s-]+(?:basic\s+|diluted\s+|common\s+|ordinary\s+)?share\b|\bEPS\b|\bearnings per\b|\bdividends? per\b/i;
+const SHARES = /\bshares?\b/i;
+
+// Coarse FinNI types and the item type they stand for on their own
+const COARSE_ITEM_TYPES = {
+    monetary: 'monetaryItemType',
+    perShare: 'perShareItemType',
+    shares: 'sharesItemType',
+    percentage: 'percentItemType',
+    ratio: 'pureItemType',
+    count: 'integerItemType',
+    date: 'dateItemType'
+};
+
+// Item type of an inline XBRL fact, from its unit ID ('iso4217:USD/shares')
+// or, when its unit was not declared, its unitRef. Facts in 'pure' are
+// ratios unless they are percentages (see classifyItemType).
+const itemTypeFromUnit = (unitRef) => {
+    const unit = String(unitRef || '').toLowerCase();
+    if (/per\s*share|\/\s*shares?|pershare/.test(unit)) return 'perShareItemType';
+    if (/^shares?$/.test(unit)) return 'sharesItemType';
+    if (unit.includes('percent')) return 'percentItemType';
+    if (unit === 'pure') return 'pureItemType';
+    return unit ? 'monetaryItemType' : null;
+};
+
+/**
+ * The XBRL item type of a FinNI entity, from its coarse type, how its value
+ * is written (rawText, unit, scale) and its row label or description.
+ * Percentages are percentItemType whichever path found them.
+ */
+const classifyItemType = (entity) => {
+    const written = `${entity.rawText || ''} ${entity.unit || ''}`;
+    if (entity.type === 'percentage' || written.includes('%')) return 'percentItemType';
+    if (entity.source === 'ixbrl' && (entity.unitId || entity.unit)) return itemTypeFromUnit(entity.unitId || entity.unit);
+
+    const label = [entity.section, entity.rowLabel, entity.description].filter(Boolean).join(' ');
+    if (entity.type === 'ratio') return 'pureItemType';
+    if (entity.type === 'date') return 'dateItemType';
+    if (PER_SHARE.test(label)) return 'perShareItemType';
+    if (entity.type === 'shares') return 'sharesItemType';
+    if (entity.type === 'monetary') return 'monetaryItemType';
+
+    // Bare numbers ('count' from the rules, 'number' from tables)
+    if (SHARES.test(label)) return 'sharesItemType';
+    if (CURRENCY.test(written) || entity.scale > 0) return 'monetaryItemType';
+    return /^-?\d+$/.test(String(entity.value)) ? 'integerItemType' : 'pureItemType';
+};
+
+// Canonical item type of a type name as datasets and taxonomies write it:
+// 'xbrli:monetaryItemType', 'num:perShareItemType', 'monetary', ...
+const normalizeItemType = (type) => {
+    if (!type) return null;
+    const name = String(type).replace(/^[\w-]+:/, '');
+    if (ITEM_TYPES.includes(name)) return name;
+    const lower = name.toLowerCase();
+    return ITEM_TYPES.find(itemType => itemType.toLowerCase() === lower) ||
+        COARSE_ITEM_TYPES[name] || null;
+};
+
+/**
+ * Item type of a concept such as 'us-gaap:EarningsPerShareBasic': from the
+ * taxonomy when it lists the concept, else from its name. Null when unknown.
+ */
+const conceptItemType = (concept, taxonomy) => {
+    const known = taxonomy && Object.values(taxonomy.concepts).find(entry => entry.id === concept);
+    if (known) return known.itemType || normalizeItemType(known.type);
+
+    const name = String(concept || '').replace(/^[\w-]+:/, '');
+    if (/PerShare/.test(name)) return 'perShareItemType';
+    if (/NumberOfShares|Shares(?:Outstanding|Issued|Authorized)/.test(name)) return 'sharesItemType';
+    if (/Percentage|Rate$/.test(name)) return 'percentItemType';
+    if (/Date$/.test(name)) return 'dateItemType';
+    return null;
+};
+
+// Whether a fact of `factType` can be tagged with a concept of `conceptType`.
+// A bare integer may be a count of shares or an amount without a currency sign.
+const isCompatibleItemType = (factType, conceptType) => {
+    if (!factType || !conceptType || factType === conceptType) return true;
+    return factType === 'integerItemType' && ['sharesItemType', 'monetaryItemType'].includes(conceptType);
+};
+
+module.exports = {
+    ITEM_TYPES,
+    PER_SHARE,
+    classifyItemType,
+    normalizeItemType,
+    conceptItemType,
+    isCompatibleItemType
+};
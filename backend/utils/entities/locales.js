@@ -0,0 +1,179 @@
+// How a document writes numbers and dates, by locale: "1,234.56" in en-US,
+// "1.234,56" in de-DE, "1 234,56" in fr-FR, "1'234.56" in de-CH; and
+// whether "01/02/2024" is January 2 (mdy) or February 1 (dmy).
+//
+// A report's locale is the one given on upload, else the one detected from
+// the language of its text and the way its numbers are written. Numbers are
+// turned into canonical values ("1234.56") with the locale's separators.
+
+const LOCALES = {
+    'en-US': { decimal: '.', groups: [','], dateOrder: 'mdy' },
+    'en-GB': { decimal: '.', groups: [','], dateOrder: 'dmy' },
+    // English text with continental numbers, as in translated European reports
+    'en-150': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' },
+    'de-DE': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' },
+    'de-AT': { decimal: ',', groups: [' ', '.'], dateOrder: 'dmy' },
+    'de-CH': { decimal: '.', groups: ['’', '\''], dateOrder: 'dmy' },
+    'fr-FR': { decimal: ',', groups: [' ', '.'], dateOrder: 'dmy' },
+    'es-ES': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' },
+    'es-MX': { decimal: '.', groups: [','], dateOrder: 'dmy' },
+    'it-IT': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' },
+    'nl-NL': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' },
+    'pt-PT': { decimal: ',', groups: [' ', '.'], dateOrder: 'dmy' },
+    'pt-BR': { decimal: ',', groups: ['.', ' '], dateOrder: 'dmy' }
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Locale of a bare language tag ("de") and of each way of writing numbers,
+// by detected language
+const LANGUAGE_LOCALES = { en: 'en-US', de: 'de-DE', fr: 'fr-FR', es: 'es-ES', it: 'it-IT', nl: 'nl-NL', pt: 'pt-PT' };
+const STYLE_LOCALES = {
+    point: { en: 'en-US', es: 'es-MX' },
+    comma: { ...LANGUAGE_LOCALES, en: 'en-150' },
+    apostrophe: { de: 'de-CH' }
+};
+const STYLE_DEFAULTS = { point: 'en-US', comma: 'de-DE', apostrophe: 'de-CH' };
+
+// Frequent words that tell the languages apart
+const STOP_WORDS = {
+    en: ['the', 'and', 'of', 'for', 'with', 'were', 'which', 'year'],
+    de: ['und', 'der', 'die', 'das', 'mit', 'für', 'nicht', 'wurde', 'jahr'],
+    fr: ['les', 'des', 'et', 'pour', 'avec', 'une', 'sur', 'exercice', 'au'],
+    es: ['los', 'las', 'del', 'y', 'el', 'ejercicio', 'como', 'más'],
+    it: ['il', 'della', 'delle', 'gli', 'per', 'esercizio', 'che', 'è'],
+    nl: ['het', 'een', 'van', 'voor', 'met', 'jaar', 'zijn', 'niet'],
+    pt: ['os', 'das', 'dos', 'com', 'uma', 'exercício', 'não', 'ao']
+};
+
+// Numbers only one way of writing them can produce: "1,234.56" and
+// "1,234,567"; "1.234,56", "1.234.567" and "1 234,56"; "1'234"
+const STYLE_PATTERNS = {
+    point: [/\d{1,3}(?:,\d{3})+\.\d+/g, /\d{1,3}(?:,\d{3}){2,}(?![.,]?\d)/g, /\d\.\d{1,2}\s?%/g],
+    comma: [/\d{1,3}(?:\.\d{3})+,\d+/g, /\d{1,3}(?:\.\d{3}){2,}(?![.,]?\d)/g, /\d{1,3}(?:[ \u00a0\u202f]\d{3})+,\d+/g, /\d,\d{1,2}\s?%/g],
+    apostrophe: [/\d{1,3}(?:['’]\d{3})+(?!\d)/g]
+};
+// Day-first numeric dates ("31/12/2024") in English text
+const DAY_FIRST_DATE = /\b(?:1[3-9]|2\d|3[01])\/(?:0?[1-9]|1[0-2])\/(?:19|20)\d{2}\b/;
+
+// How much of the document detection reads
+const SAMPLE_LENGTH = 50000;
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The supported locale a tag stands for ('de' is 'de-DE', 'EN-gb' is
+ * 'en-GB'), or null when neither the tag nor its language is supported.
+ */
+const resolveLocale = (tag) => {
+    if (!tag) return null;
+    const wanted = String(tag).trim().replace('_', '-').toLowerCase();
+    const exact = Object.keys(LOCALES).find(locale => locale.toLowerCase() === wanted);
+    return exact || LANGUAGE_LOCALES[wanted.split('-')[0]] || null;
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Number and date conventions of a locale: { locale, decimal, groups, dateOrder }
+const numberFormatFor = (locale) => {
+    const resolved = resolveLocale(locale) || DEFAULT_LOCALE;
+    return { locale: resolved, ...LOCALES[resolved] };
+};
+
+const countMatches = (text, patterns) => patterns
+    .reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+
+/**
+ * The locale of a document's text: its language from frequent words, and the
+ * locale of that language matching how its numbers are written.
+ */
+const detectLocale = (text = '') => {
+    const sample = String(text).slice(0, SAMPLE_LENGTH);
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.fromEntries(Object.keys(STOP_WORDS).map(language => [language, 0]));
+    words.forEach(word => {
+        Object.entries(STOP_WORDS).forEach(([language, stopWords]) => {
+            if (stopWords.includes(word)) scores[language]++;
+        });
+    });
+    const [language, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const detectedLanguage = score > 0 ? language : 'en';
+
+    const styles = Object.entries(STYLE_PATTERNS)
+        .map(([style, patterns]) => [style, countMatches(sample, patterns)])
+        .sort((a, b) => b[1] - a[1]);
+    if (styles[0][1] === 0) {
+        if (detectedLanguage === 'en' && DAY_FIRST_DATE.test(sample)) return 'en-GB';
+        return LANGUAGE_LOCALES[detectedLanguage];
+    }
+
+    const style = styles[0][0];
+    const locale = STYLE_LOCALES[style][detectedLanguage] || STYLE_DEFAULTS[style];
+    return locale === 'en-US' && DAY_FIRST_DATE.test(sample) ? 'en-GB' : locale;
+};
+
+// Group separators as a character class body; a space also stands for the
+// non-breaking spaces typesetting puts between digit groups
+const groupClass = (groups) => groups
+    .map(group => (group === ' ' ? ' \\u00a0\\u202f' : escape(group)))
+    .join('');
+
+/**
+ * The source of a regular expression matching a number as the locale writes
+ * it: digit groups of three ("1.234.567") or plain digits, with decimals.
+ * With `long: false` plain digits stop at three, so bare years and reference
+ * numbers are not read as amounts.
+ */
+const numberPattern = ({ decimal, groups }, { long = true } = {}) => {
+    const fraction = `(?:${escape(decimal)}\\d+)?`;
+    const plain = long ? '\\d+' : '\\d{1,3}(?!\\d)';
+    return `(?:\\d{1,3}(?:[${groupClass(groups)}]\\d{3})+(?!\\d)${fraction}|${plain}${fraction})`;
+};
+
+/**
+ * The canonical value of a number written in the locale: "1.234,56" is
+ * "1234.56" in de-DE. Anything else around the digits (currency, sign,
+ * parentheses) is dropped.
+ */
+const toCanonicalNumber = (written, { decimal, groups }) => {
+    const [whole, fraction] = String(written)
+        .replace(new RegExp(`[${groupClass(groups)}]`, 'g'), '')
+        .split(decimal)
+        .map(part => part.replace(/\D/g, ''));
+    return fraction ? `${whole}.${fraction}` : whole;
+};
+
+/**
+ * The canonical value of a number the LLM reported, which may be written as
+ * in the document ("1.234,56") or already canonical ("1234.56"). With both
+ * separators the last one is the decimal mark, a separator used twice groups
+ * digits, and one followed by exactly three digits is read as the locale
+ * would ("1.234" is 1234 in de-DE). Keeps a leading minus.
+ */
+const canonicalValue = (value, { decimal }) => {
+    const text = String(value).trim().replace(/[\s'’]/g, '');
+    const sign = /^[-−]/.test(text) ? '-' : '';
+    const digits = text.replace(/^[-−]/, '');
+
+    const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    if (last < 0) return `${sign}${digits}`;
+    const separator = digits[last];
+    const both = digits.includes('.') && digits.includes(',');
+    const repeated = digits.split(separator).length > 2;
+    const thousands = /^\d{3}$/.test(digits.slice(last + 1)) && !/^0(?!\d)/.test(digits);
+    const isDecimal = both || (!repeated && (!thousands || separator === decimal));
+    if (!isDecimal) return `${sign}${digits.replace(/[.,]/g, '')}`;
+    return `${sign}${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`;
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    numberFormatFor,
+    detectLocale,
+    numberPattern,
+    toCanonicalNumber,
+    canonicalValue
+};
@@ -0,0 +1,255 @@
+// Normalize the numbers FinNI finds into the attributes of an XBRL fact:
+//   - rawText: the number as written, e.g. "$(1,234)" or "$3.2 billion"
+//   - numericValue: the signed value it stands for, scale applied (-1234000000)
+//   - scale: power of ten the written digits are multiplied by, as the scale
+//     attribute of inline XBRL (6 for "in millions", -2 for percentages)
+//   - decimals: decimal places the value is accurate to, as the XBRL decimals
+//     attribute ("1,234" in millions is -6, "12.5%" is 3)
+//   - sign: '-' for negative values, '+' otherwise
+//
+// The scale comes from an inline word ("$3.2 billion"), else from the
+// statement header or table caption the number sits under ("(in millions,
+// except per share data)").
+//
+// Numbers are read as the document's locale writes them ("1.234,56" in
+// de-DE, see ./locales); en-US when no format is given.
+
+const { CURRENCY, CURRENCY_PATTERN, CURRENCY_SYMBOL_PATTERN } = require('./currencies');
+const { DEFAULT_LOCALE, numberFormatFor, numberPattern, toCanonicalNumber } = require('./locales');
+const { PER_SHARE } = require('./itemTypes');
+
+const SCALE_WORDS = {
+    thousand: 3,
+    million: 6,
+    billion: 9,
+    trillion: 12
+};
+// Abbreviations only count after a currency amount ("$450m", "€3.2bn")
+const SCALE_ABBREVIATIONS = { k: 3, m: 6, mm: 6, mn: 6, b: 9, bn: 9 };
+
+const DEFAULT_FORMAT = numberFormatFor(DEFAULT_LOCALE);
+
+// "(in millions, except per share data)", "In thousands of U.S. dollars", "($ in millions)"
+const SCALE_STATEMENT = new RegExp(`\\b(?:in|of)\\s+(?:(?:U\\.?S\\.?\\s?)?(?:[A-Z]{3}\\s+|${CURRENCY_SYMBOL_PATTERN}\\s?|(?:dollars|euros|pounds|yen)\\s+))?(thousands|millions|billions)\\b([^)\\n]{0,80})`, 'gi');
+// "(000s)", "(in 000's)", "(HK$'000)", "000s omitted"
+const THOUSANDS_STATEMENT = new RegExp(`\\(\\s*(?:in\\s+)?(?:${CURRENCY_SYMBOL_PATTERN}\\s?)?['’]?000['’]?s?\\s*\\)|\\b000['’]?s\\s+omitted\\b`, 'gi');
+// A scale statement applies to the numbers after it, up to this many characters
+const SCALE_REACH = 6000;
+
+// What may be written before a number: "(", "-", "HK$", "CHF (", "($"
+const LEAD = new RegExp(`(?:\\(\\s?(?:${CURRENCY.source}\\s?)?|(?<![\\w.,])[-−](?:${CURRENCY.source}\\s?)?|${CURRENCY.source}\\s?\\(?\\s?)$`);
+// A currency written after a number, as continental reports do: "1.234,56 €"
+const TRAILING_CURRENCY = new RegExp(`^\\s?${CURRENCY_PATTERN}(?![\\w$])`);
+
+// Types a statement's scale applies to; percentages, ratios and dates keep their own
+const SCALED_TYPES = ['monetary', 'shares', 'number', 'count'];
+
+const exceptions = (rest) => {
+    const clause = /except/i.test(rest) ? rest.slice(rest.search(/except/i)) : '';
+    return {
+        perShare: /per[\s-]share/i.test(clause),
+        shares: /\bshares?\b/i.test(clause.replace(/per[\s-]share/gi, ''))
+    };
+};
+
+/**
+ * Every scale statement in `text`, in order:
+ * [{ offset, scale, statement, except: { perShare, shares } }]
+ */
+const findScaleStatements = (text) => {
+    const statements = [];
+    let match;
+    SCALE_STATEMENT.lastIndex = 0;
+    while ((match = SCALE_STATEMENT.exec(text)) !== null) {
+        const word = match[1].toLowerCase().replace(/s$/, '');
+        statements.push({
+            offset: match.index,
+            scale: SCALE_WORDS[word],
+            statement: match[0].trim(),
+            except: exceptions(match[2] || '')
+        });
+    }
+    THOUSANDS_STATEMENT.lastIndex = 0;
+    while ((match = THOUSANDS_STATEMENT.exec(text)) !== null) {
+        statements.push({
+            offset: match.index,
+            scale: 3,
+            statement: match[0].trim(),
+            except: { perShare: false, shares: false }
+        });
+    }
+    return statements.sort((a, b) => a.offset - b.offset);
+};
+
+// The first scale statement of a header or caption, or null
+const detectScale = (text) => findScaleStatements(text || '')[0] || null;
+
+// The statement in force at `offset`: the last one before it, within reach
+const scaleStatementAt = (statements, offset) => {
+    let found = null;
+    for (const statement of statements) {
+        if (statement.offset > offset) break;
+        found = statement;
+    }
+    return found && offset - found.offset <= SCALE_REACH ? found : null;
+};
+
+/**
+ * Widen the number at text[start, end) to what is written around it: an
+ * enclosing "(...)" or a leading minus, and a following scale word, percent
+ * sign or currency. Returns { start, rawText }.
+ */
+const rawTextAt = (text, start, end) => {
+    // A minus right after a letter or digit is a hyphen ("2023-2024")
+    const before = text.slice(Math.max(0, start - 8), start).match(LEAD);
+    const lead = before ? before[0] : '';
+    const tail = text.slice(end, end + 16);
+    const after = (lead.includes('(') && tail.match(/^\s?\)/)) ||
+        tail.match(/^(?:\s?%|\s(?:thousand|million|billion|trillion)s?\b)/i) ||
+        (CURRENCY.test(lead) && tail.match(/^\s?(?:bn|mn|mm|[kmb])\b/i)) ||
+        (!lead && tail.match(TRAILING_CURRENCY));
+    return {
+        start: start - lead.length,
+        rawText: text.slice(start - lead.length, end + (after ? after[0].length : 0)).trim()
+    };
+};
+
+/**
+ * Read a number as written in the locale of `format`: "(1,234)", "-56",
+ * "$3.2 billion", "12.5%", "1.234,56 €". Returns { digits (canonical),
+ * textDecimals, negative, percent, inlineScale } or null.
+ */
+const parseNumber = (rawText, format = DEFAULT_FORMAT) => {
+    const text = String(rawText);
+    const number = text.match(new RegExp(numberPattern(format)));
+    if (!number) return null;
+
+    const digits = toCanonicalNumber(number[0], format);
+    const before = text.slice(0, number.index);
+    const after = text.slice(number.index + number[0].length);
+
+    let inlineScale = null;
+    const word = after.match(/^\s*(thousand|million|billion|trillion)s?\b/i);
+    const abbreviation = after.match(/^\s*(bn|mn|mm|[kmb])\b/i);
+    if (word) {
+        inlineScale = SCALE_WORDS[word[1].toLowerCase()];
+    } else if (abbreviation && CURRENCY.test(before)) {
+        inlineScale = SCALE_ABBREVIATIONS[abbreviation[1].toLowerCase()];
+    }
+
+    return {
+        digits,
+        textDecimals: digits.includes('.') ? digits.split('.')[1].length : 0,
+        negative: (before.includes('(') && after.includes(')')) || /[-−]/.test(before),
+        percent: /^\s*%|^\s*percent/i.test(after),
+        inlineScale
+    };
+};
+
+// Whether a statement's scale covers a number of `type` labelled `label`
+// (its row label with the section heading above it, or the text before it).
+// Per-share amounts are those of a perShareItemType or with a per-share label.
+const statementApplies = (statement, parsed, { type, itemType, label = '', currency = false }) => {
+    if (!SCALED_TYPES.includes(type)) return false;
+    if (statement.except.perShare && (itemType === 'perShareItemType' || PER_SHARE.test(label))) return false;
+    if (statement.except.shares && type === 'shares') return false;
+    // A bare year is a column heading, not an amount
+    const year = !currency && /^(19|20)\d{2}$/.test(parsed.digits);
+    return !year;
+};
+
+/**
+ * Normalize the number written as `rawText`, under the scale statement in
+ * force there (if any). `type` and `label` (row label or description) decide
+ * whether that statement applies, and `format` how the number is written.
+ * Returns the fields described at the top of this file, or null when rawText
+ * holds no number.
+ */
+const normalizeNumber = (rawText, { statement = null, type, itemType, label, format = DEFAULT_FORMAT } = {}) => {
+    const parsed = parseNumber(rawText, format);
+    if (!parsed) return null;
+
+    let scale = 0;
+    if (parsed.percent || type === 'percentage') {
+        scale = -2;
+    } else if (parsed.inlineScale !== null) {
+        scale = parsed.inlineScale;
+    } else if (statement && statementApplies(statement, parsed, { type, itemType, label, currency: CURRENCY.test(rawText) })) {
+        scale = statement.scale;
+    }
+
+    const sign = parsed.negative ? '-' : '+';
+    // Shift the decimal point in the string to keep 1.1 million exact
+    const numericValue = Number(`${sign === '-' ? '-' : ''}${parsed.digits}e${scale}`);
+    return {
+        rawText: String(rawText).trim(),
+        numericValue,
+        decimals: parsed.textDecimals - scale,
+        scale,
+        sign
+    };
+};
+
+// An entity with the normalized fields of the number written as `rawText` in
+// the locale of `format` (its canonical value when not given). `label` is
+// what the number is of, by default the entity's section heading and row
+// label or description. Dates keep their ISO value and have no numeric fields.
+const normalizeEntity = (entity, { rawText, statement = null, format = DEFAULT_FORMAT, label } = {}) => {
+    if (entity.type === 'date') {
+        return { ...entity, rawText: rawText || null, numericValue: null, decimals: null, scale: null, sign: null };
+    }
+    const normalized = normalizeNumber(rawText || String(entity.value), {
+        statement,
+        type: entity.type,
+        itemType: entity.itemType,
+        label: label || [entity.section, entity.rowLabel || entity.description].filter(Boolean).join(' '),
+        format: rawText ? format : DEFAULT_FORMAT
+    });
+    return {
+        ...entity,
+        ...(normalized || { rawText: rawText || null, numericValue: null, decimals: null, scale: null, sign: null })
+    };
+};
+
+// Every number written in `text`: [{ offset, rawText, parsed }]
+const indexRawNumbers = (text, format = DEFAULT_FORMAT) => {
+    const numbers = [];
+    const numberToken = new RegExp(numberPattern(format), 'g');
+    let match;
+    while ((match = numberToken.exec(text)) !== null) {
+        const { start, rawText } = rawTextAt(text, match.index, match.index + match[0].length);
+        numbers.push({ offset: start, rawText, parsed: parseNumber(rawText, format) });
+    }
+    return numbers;
+};
+
+/**
+ * Find where a value reported by the LLM is written, within [start, end) of
+ * the indexed text. The LLM may have applied the scale itself ("3200000000"
+ * for "$3.2 billion"), so the written digits are also tried at every scale.
+ * Returns { offset, rawText } or null.
+ */
+const findRawNumber = (numbers, value, { start = 0, end = Infinity } = {}) => {
+    const magnitude = Math.abs(parseFloat(String(value).replace(/[^0-9.-]/g, '')));
+    if (Number.isNaN(magnitude)) return null;
+    const found = numbers.find(number => {
+        if (number.offset < start || number.offset >= end) return false;
+        const written = parseFloat(number.parsed.digits);
+        return [0, number.parsed.inlineScale || 0, 3, 6, 9].some(scale =>
+            Number(`${written}e${scale}`) === magnitude
+        );
+    });
+    return found ? { offset: found.offset, rawText: found.rawText } : null;
+};
+
+module.exports = {
+    findScaleStatements,
+    detectScale,
+    scaleStatementAt,
+    rawTextAt,
+    parseNumber,
+    normalizeNumber,
+    normalizeEntity,
+    indexRawNumbers,
+    findRawNumber
+};
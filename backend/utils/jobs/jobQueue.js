@@ -0,0 +1,361 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Durable in-process job queue.
+ *
+ * A job runs a report through an ordered list of stages. Jobs are persisted to
+ * data/jobs.json after every transition, so work survives a restart: jobs left
+ * in `processing` are put back in the queue by init(). Each stage is retried
+ * with exponential backoff before the job is marked failed.
+ *
+ * Stage handlers are called as handler(job, { reportProgress, signal }) and may
+ * call reportProgress(completed, total) to publish fine-grained progress.
+ * `signal` is aborted when the job is cancelled; long-running handlers should
+ * stop early when it is, and anything they return afterwards is discarded.
+ *
+ * Events: job:started, stage:started, stage:progress, stage:completed,
+ * stage:retry, job:completed, job:failed, job:cancelled — each called with
+ * (job, details).
+ */
+class JobQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.dataDir = path.join(__dirname, '../../data');
+        this.jobsFile = path.join(this.dataDir, 'jobs.json');
+        this.jobs = new Map();
+        this.stages = [];
+        this.activeCount = 0;
+        this.controllers = new Map();
+        this.timer = null;
+        this.saving = Promise.resolve();
+        this.initialized = false;
+    }
+
+    get workerCount() {
+        return parseInt(process.env.JOB_WORKERS, 10) || 2;
+    }
+
+    get maxAttempts() {
+        return parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    }
+
+    get retryBaseMs() {
+        return parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 2000;
+    }
+
+    // Stages run in registration order; handler(job, context) may return an
+    // object that is merged into job.data for the following stages
+    registerStage(name, handler) {
+        this.stages.push({ name, handler });
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        await fs.mkdir(this.dataDir, { recursive: true });
+        try {
+            const jobsData = await fs.readFile(this.jobsFile, 'utf8');
+            JSON.parse(jobsData).forEach(job => this.jobs.set(job.id, job));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.writeFile(this.jobsFile, '[]', 'utf8');
+            console.log('Created jobs.json file');
+        }
+
+        // Jobs interrupted by a restart resume from the stage they were in,
+        // unless they were being cancelled
+        let recovered = 0;
+        this.jobs.forEach(job => {
+            if (job.status === 'processing' && job.cancelRequestedAt) {
+                this.markCancelled(job);
+                recovered++;
+            } else if (job.status === 'processing') {
+                job.status = 'queued';
+                job.nextRunAt = null;
+                const stage = job.stages[job.currentStage];
+                if (stage && stage.status === 'processing') stage.status = 'pending';
+                job.recoveredAt = new Date().toISOString();
+                recovered++;
+            }
+        });
+        if (recovered > 0) {
+            console.log(`Recovered ${recovered} interrupted jobs`);
+            await this.save();
+        }
+
+        this.initialized = true;
+        console.log(`Job queue ready with ${this.workerCount} workers (${this.jobs.size} jobs on record)`);
+        this.pump();
+    }
+
+    save() {
+        // Writes are serialized and atomic (temp file + rename)
+        this.saving = this.saving.then(async () => {
+            const tmpFile = `${this.jobsFile}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(Array.from(this.jobs.values()), null, 2), 'utf8');
+            await fs.rename(tmpFile, this.jobsFile);
+        }).catch(error => {
+            console.error('Error saving jobs:', error);
+        });
+        return this.saving;
+    }
+
+    // Queue a job for a report. `stages` limits it to some of the registered
+    // stages (run in registration order), `data` seeds job.data for them and
+    // `options` is kept on the job for the handlers to read.
+    async enqueue(reportId, { stages, data = {}, options = {} } = {}) {
+        const now = new Date().toISOString();
+        const stageNames = this.stages
+            .map(stage => stage.name)
+            .filter(name => !stages || stages.includes(name));
+        const job = {
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            reportId,
+            status: 'queued',
+            currentStage: stageNames[0],
+            stages: Object.fromEntries(stageNames.map(name => [name, {
+                status: 'pending',
+                attempts: 0,
+                progress: { completed: 0, total: null },
+                startedAt: null,
+                completedAt: null,
+                updatedAt: null,
+                error: null
+            }])),
+            options,
+            data,
+            nextRunAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.jobs.set(job.id, job);
+        await this.save();
+        this.pump();
+        return job;
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    getJobsByReportId(reportId) {
+        return Array.from(this.jobs.values()).filter(job => job.reportId === reportId);
+    }
+
+    // Most recent job for a report, or null
+    getLatestJob(reportId) {
+        const jobs = this.getJobsByReportId(reportId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return jobs[0] || null;
+    }
+
+    // Cancel a queued or running job. A running stage is told through its
+    // abort signal and the job is marked cancelled when the stage returns.
+    // Returns the job, or null if it was not active.
+    async cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || (job.status !== 'queued' && job.status !== 'processing')) return null;
+
+        if (job.status === 'queued') {
+            this.markCancelled(job);
+            await this.save();
+            this.emit('job:cancelled', job, { stage: job.currentStage });
+            this.pump();
+            return job;
+        }
+
+        job.cancelRequestedAt = new Date().toISOString();
+        job.updatedAt = job.cancelRequestedAt;
+        await this.save();
+        const controller = this.controllers.get(job.id);
+        if (controller) controller.abort(new Error('Job cancelled'));
+        return job;
+    }
+
+    markCancelled(job) {
+        const now = new Date().toISOString();
+        const stage = job.stages[job.currentStage];
+        if (stage && stage.status !== 'completed') {
+            stage.status = 'cancelled';
+            stage.updatedAt = now;
+        }
+        job.status = 'cancelled';
+        job.nextRunAt = null;
+        job.cancelledAt = now;
+        job.updatedAt = now;
+    }
+
+    // Put a failed or cancelled job back in the queue. It resumes at the
+    // first stage that did not complete, with that stage's attempts reset.
+    // Returns the job, or null if it cannot be retried.
+    async retry(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) return null;
+
+        const resumeAt = Object.keys(job.stages).find(name => job.stages[name].status !== 'completed');
+        if (!resumeAt) return null;
+
+        const now = new Date().toISOString();
+        Object.keys(job.stages).forEach(name => {
+            const stage = job.stages[name];
+            if (stage.status === 'completed') return;
+            stage.status = 'pending';
+            stage.attempts = 0;
+            stage.progress = { completed: 0, total: null };
+            stage.error = null;
+            stage.updatedAt = now;
+        });
+        job.status = 'queued';
+        job.currentStage = resumeAt;
+        job.nextRunAt = null;
+        job.cancelRequestedAt = null;
+        job.retriedAt = now;
+        job.updatedAt = now;
+
+        await this.save();
+        this.pump();
+        return job;
+    }
+
+    async reportProgress(job, stageName, completed, total) {
+        const stage = job.stages[stageName];
+        if (!stage) return;
+        const now = new Date().toISOString();
+        stage.progress = { completed, total };
+        stage.updatedAt = now;
+        job.updatedAt = now;
+        await this.save();
+        this.emit('stage:progress', job, { stage: stageName, completed, total });
+    }
+
+    // Start as many ready jobs as there are free workers, and wake up again
+    // when the earliest delayed retry becomes due
+    pump() {
+        if (!this.initialized) return;
+
+        const now = Date.now();
+        const queued = Array.from(this.jobs.values())
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of queued) {
+            if (this.activeCount >= this.workerCount) break;
+            if (job.nextRunAt && new Date(job.nextRunAt).getTime() > now) continue;
+            this.activeCount++;
+            this.runJob(job).finally(() => {
+                this.activeCount--;
+                this.pump();
+            });
+        }
+
+        const delayed = queued
+            .filter(job => job.status === 'queued' && job.nextRunAt)
+            .map(job => new Date(job.nextRunAt).getTime());
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        if (delayed.length > 0) {
+            this.timer = setTimeout(() => this.pump(), Math.max(0, Math.min(...delayed) - now));
+            this.timer.unref();
+        }
+    }
+
+    async runJob(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+        try {
+            await this.runStages(job, controller.signal);
+        } finally {
+            this.controllers.delete(job.id);
+        }
+    }
+
+    async runStages(job, signal) {
+        const touch = () => { job.updatedAt = new Date().toISOString(); };
+        const cancelled = async () => {
+            this.markCancelled(job);
+            await this.save();
+            this.emit('job:cancelled', job, { stage: job.currentStage });
+        };
+
+        job.status = 'processing';
+        job.nextRunAt = null;
+        touch();
+        await this.save();
+        this.emit('job:started', job);
+
+        const stages = this.stages.filter(stage => job.stages[stage.name]);
+        const startIndex = stages.findIndex(stage => stage.name === job.currentStage);
+        for (let i = Math.max(startIndex, 0); i < stages.length; i++) {
+            const { name, handler } = stages[i];
+            const stage = job.stages[name];
+            if (signal.aborted) return cancelled();
+            job.currentStage = name;
+            stage.status = 'processing';
+            stage.attempts++;
+            stage.progress = { completed: 0, total: null };
+            stage.startedAt = new Date().toISOString();
+            stage.updatedAt = stage.startedAt;
+            stage.error = null;
+            touch();
+            await this.save();
+            this.emit('stage:started', job, { stage: name, attempt: stage.attempts });
+
+            try {
+                const output = await handler(job, {
+                    reportProgress: (completed, total) => this.reportProgress(job, name, completed, total),
+                    signal
+                });
+                if (signal.aborted) return cancelled();
+                job.data = { ...job.data, ...(output || {}) };
+                stage.status = 'completed';
+                stage.completedAt = new Date().toISOString();
+                stage.updatedAt = stage.completedAt;
+                touch();
+                await this.save();
+                this.emit('stage:completed', job, { stage: name });
+            } catch (error) {
+                if (signal.aborted) return cancelled();
+                console.error(`Job ${job.id} stage ${name} attempt ${stage.attempts} failed:`, error.message);
+                // Errors marked retryable: false would fail the same way again
+                const willRetry = error.retryable !== false && stage.attempts < this.maxAttempts;
+                const delay = this.retryBaseMs * Math.pow(2, stage.attempts - 1);
+                touch();
+                stage.updatedAt = job.updatedAt;
+                stage.error = {
+                    message: error.message,
+                    code: error.code || error.name || 'Error',
+                    stage: name,
+                    attempt: stage.attempts,
+                    at: job.updatedAt,
+                    nextRetryAt: willRetry ? new Date(Date.now() + delay).toISOString() : null
+                };
+
+                if (willRetry) {
+                    stage.status = 'pending';
+                    job.status = 'queued';
+                    job.nextRunAt = stage.error.nextRetryAt;
+                    await this.save();
+                    this.emit('stage:retry', job, { stage: name, error, delay });
+                    return;
+                }
+
+                stage.status = 'failed';
+                job.status = 'failed';
+                await this.save();
+                this.emit('job:failed', job, { stage: name, error });
+                return;
+            }
+        }
+
+        job.status = 'completed';
+        touch();
+        await this.save();
+        this.emit('job:completed', job);
+    }
+}
+
+const jobQueue = new JobQueue();
+module.exports = jobQueue;
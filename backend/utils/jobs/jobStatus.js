@@ -0,0 +1,40 @@
+// Presentation helpers for processing jobs, shared by the status route and
+// the status event stream
+
+const STAGE_LABELS = {
+    extraction: 'Extracting text',
+    finni: 'Identifying financial entities (FinNI)',
+    fincl: 'Mapping to US-GAAP concepts (FinCL)',
+    export: 'Exporting tagged facts'
+};
+
+const stagePercent = (stage) => {
+    if (stage.status === 'completed') return 100;
+    const { completed = 0, total = null } = stage.progress || {};
+    return total ? Math.round((completed / total) * 100) : 0;
+};
+
+// Stage status with percent complete, timestamps and structured error
+const summarizeStages = (job) => Object.fromEntries(Object.entries(job.stages).map(([name, stage]) => {
+    const { completed = 0, total = null } = stage.progress || {};
+    return [name, {
+        label: STAGE_LABELS[name] || name,
+        status: stage.status,
+        percent: stagePercent(stage),
+        progress: { completed, total },
+        attempts: stage.attempts,
+        startedAt: stage.startedAt,
+        completedAt: stage.completedAt,
+        updatedAt: stage.updatedAt,
+        error: stage.error
+    }];
+}));
+
+const isJobActive = (job) => Boolean(job) && (job.status === 'queued' || job.status === 'processing');
+
+module.exports = {
+    STAGE_LABELS,
+    stagePercent,
+    summarizeStages,
+    isJobActive
+};
@@ -0,0 +1,68 @@
+const jobQueue = require('./jobQueue');
+// Loaded for their side effects: record queue events for the status stream
+// and queue webhook notifications
+require('./reportEvents');
+require('../webhooks/reportWebhooks');
+const localStorage = require('../../config/localStorage');
+const { extractReport, runFinNI } = require('../../controllers/finniController');
+const { runFinCL } = require('../../controllers/finclController');
+const { exportReport } = require('../../controllers/exportController');
+
+// Report processing pipeline: extraction -> FinNI -> FinCL -> export.
+// job.options carries run overrides (provider, model, prompt version,
+// taxonomy) for re-runs; see utils/jobs/runOptions.
+jobQueue.registerStage('extraction', async (job, { reportProgress }) => {
+    await extractReport(job.reportId);
+    reportProgress(1, 1);
+});
+jobQueue.registerStage('finni', (job, { reportProgress, signal }) =>
+    runFinNI(job.reportId, {
+        onProgress: reportProgress,
+        signal,
+        jobId: job.id,
+        options: job.options
+    }));
+jobQueue.registerStage('fincl', async (job, { reportProgress, signal }) => {
+    const { finniResultId } = job.data;
+    const entities = finniResultId ? await localStorage.getEntities(finniResultId) : null;
+    if (!entities) {
+        throw new Error(`No FinNI entities found for report ${job.reportId}`);
+    }
+    const { finclResultId } = await runFinCL(job.reportId, entities, {
+        onProgress: reportProgress,
+        signal,
+        jobId: job.id,
+        finniResultId,
+        options: job.options
+    });
+    return { finclResultId };
+});
+jobQueue.registerStage('export', async (job, { reportProgress }) => {
+    const output = await exportReport(job.reportId, job.data);
+    reportProgress(1, 1);
+    return output;
+});
+
+// Keep the report's coarse status in step with its job
+jobQueue.on('job:started', job => {
+    localStorage.updateReportStatus(job.reportId, 'processing');
+});
+jobQueue.on('job:completed', job => {
+    localStorage.updateReportStatus(job.reportId, 'completed');
+});
+jobQueue.on('job:cancelled', job => {
+    localStorage.updateReportStatus(job.reportId, 'cancelled');
+});
+jobQueue.on('job:failed', (job, { stage, error }) => {
+    console.error(`Report ${job.reportId} failed in stage ${stage}:`, error.message);
+    localStorage.updateReportStatus(job.reportId, 'failed');
+});
+
+// Load persisted jobs, recover interrupted ones and start the workers
+const startPipeline = async () => {
+    await jobQueue.init();
+};
+
+module.exports = {
+    startPipeline
+};
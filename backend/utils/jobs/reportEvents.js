@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const jobQueue = require('./jobQueue');
+const { stagePercent } = require('./jobStatus');
+
+// Events kept per report for clients reconnecting with Last-Event-ID
+const BUFFER_SIZE = 500;
+// How long a report's events are kept after it is done, for clients that
+// reconnect right after (ms)
+const retentionMs = () => parseInt(process.env.REPORT_EVENTS_RETENTION_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Per-report stream of processing events, fed by the job queue.
+ *
+ * Event IDs are "<bootId>-<sequence>". The boot ID changes on every restart,
+ * so a client resuming with an ID from a previous run is told to start over
+ * from a snapshot instead of silently missing events.
+ *
+ * Emits the report ID as the event name with { id, type, data }.
+ */
+class ReportEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.bootId = Date.now().toString(36);
+        this.buffers = new Map();
+        this.sequences = new Map();
+        // Timers dropping the buffers of done reports
+        this.evictions = new Map();
+    }
+
+    publish(reportId, type, data) {
+        // The report is being processed again: keep its events
+        clearTimeout(this.evictions.get(reportId));
+        this.evictions.delete(reportId);
+
+        const sequence = (this.sequences.get(reportId) || 0) + 1;
+        this.sequences.set(reportId, sequence);
+
+        const event = {
+            id: `${this.bootId}-${sequence}`,
+            type,
+            data: { reportId, ...data, at: new Date().toISOString() }
+        };
+
+        const buffer = this.buffers.get(reportId) || [];
+        buffer.push(event);
+        if (buffer.length > BUFFER_SIZE) buffer.shift();
+        this.buffers.set(reportId, buffer);
+        if (type === 'done') this.scheduleEviction(reportId);
+
+        this.emit(reportId, event);
+        return event;
+    }
+
+    // Drop a done report's events once reconnecting clients had time to
+    // replay them. Its sequence stays, so event IDs keep increasing.
+    scheduleEviction(reportId) {
+        const timer = setTimeout(() => {
+            this.buffers.delete(reportId);
+            this.evictions.delete(reportId);
+        }, retentionMs());
+        timer.unref();
+        this.evictions.set(reportId, timer);
+    }
+
+    // ID of the latest event for a report (what a fresh snapshot corresponds to)
+    lastEventId(reportId) {
+        return `${this.bootId}-${this.sequences.get(reportId) || 0}`;
+    }
+
+    // Events after `lastEventId`, or null when they cannot be replayed
+    // (ID from an earlier run, older than the buffer, or evicted)
+    eventsSince(reportId, lastEventId) {
+        const [bootId, sequenceText] = String(lastEventId).split('-');
+        const sequence = parseInt(sequenceText, 10);
+        if (bootId !== this.bootId || Number.isNaN(sequence)) return null;
+
+        const buffer = this.buffers.get(reportId) || [];
+        if (buffer.length === 0) return sequence >= (this.sequences.get(reportId) || 0) ? [] : null;
+        const missed = buffer.filter(event => parseInt(event.id.split('-')[1], 10) > sequence);
+        const oldest = buffer.length > 0 ? parseInt(buffer[0].id.split('-')[1], 10) : sequence + 1;
+        if (oldest > sequence + 1) return null;
+        return missed;
+    }
+}
+
+const reportEvents = new ReportEvents();
+
+jobQueue.on('job:started', job => {
+    reportEvents.publish(job.reportId, 'job', { jobId: job.id, status: 'processing' });
+});
+
+jobQueue.on('stage:started', (job, { stage, attempt }) => {
+    reportEvents.publish(job.reportId, 'stage', {
+        jobId: job.id, stage, status: 'processing', attempt
+    });
+});
+
+jobQueue.on('stage:progress', (job, { stage, completed, total }) => {
+    reportEvents.publish(job.reportId, 'progress', {
+        jobId: job.id, stage, completed, total, percent: stagePercent(job.stages[stage])
+    });
+});
+
+jobQueue.on('stage:completed', (job, { stage }) => {
+    reportEvents.publish(job.reportId, 'stage', { jobId: job.id, stage, status: 'completed' });
+
+    // Announce result IDs as soon as they exist
+    if (stage === 'finni' && job.data.finniResultId) {
+        reportEvents.publish(job.reportId, 'result', {
+            jobId: job.id, taskType: 'FinNI', resultId: job.data.finniResultId
+        });
+    }
+    if (stage === 'fincl' && job.data.finclResultId) {
+        reportEvents.publish(job.reportId, 'result', {
+            jobId: job.id, taskType: 'FinCL', resultId: job.data.finclResultId
+        });
+    }
+});
+
+jobQueue.on('stage:retry', (job, { stage }) => {
+    reportEvents.publish(job.reportId, 'stage', {
+        jobId: job.id, stage, status: 'retrying', error: job.stages[stage].error
+    });
+});
+
+jobQueue.on('job:completed', job => {
+    reportEvents.publish(job.reportId, 'done', {
+        jobId: job.id,
+        status: 'completed',
+        finniResultId: job.data.finniResultId || null,
+        finclResultId: job.data.finclResultId || null
+    });
+});
+
+jobQueue.on('job:failed', (job, { stage }) => {
+    reportEvents.publish(job.reportId, 'stage', {
+        jobId: job.id, stage, status: 'failed', error: job.stages[stage].error
+    });
+    reportEvents.publish(job.reportId, 'done', {
+        jobId: job.id,
+        status: 'failed',
+        failedStage: stage,
+        finniResultId: job.data.finniResultId || null,
+        finclResultId: job.data.finclResultId || null
+    });
+});
+
+jobQueue.on('job:cancelled', (job, { stage }) => {
+    reportEvents.publish(job.reportId, 'done', {
+        jobId: job.id,
+        status: 'cancelled',
+        cancelledStage: stage,
+        finniResultId: job.data.finniResultId || null,
+        finclResultId: job.data.finclResultId || null
+    });
+});
+
+module.exports = reportEvents;
@@ -0,0 +1,104 @@
+// Options that can be overridden when a report's FinNI or FinCL stage is run.
+// Anything not overridden falls back to the server defaults.
+const { getProvider, isProviderConfigured, getDefaultProviderName } = require('../ai/providerRegistry');
+const { listPromptVersions, getDefaultPromptVersion } = require('../ai/prompts');
+
+// 'local' is the rule-based extractor and mapper, without any LLM
+const LOCAL_PROVIDER = 'local';
+// Model name recorded on results produced without an LLM
+const RULE_BASED_MODEL = 'rule-based';
+const TAXONOMIES = ['us-gaap'];
+// How FinNI finds entities: the LLM alone (rules only for failed chunks), or
+// the LLM and the rules together, reconciled
+const EXTRACTION_MODES = ['llm', 'ensemble'];
+
+// Tasks that can be re-run and the stages each one runs: a re-run also
+// repeats everything downstream of it, so the export reflects the new result
+const RERUN_STAGES = {
+    FinNI: ['finni', 'fincl', 'export'],
+    FinCL: ['fincl', 'export']
+};
+
+/**
+ * Pick and validate run option overrides from a request body.
+ * Returns { options } with only the fields that were given, or { error }.
+ */
+const parseRunOptions = (body = {}) => {
+    const options = {};
+
+    if (body.provider !== undefined) {
+        const provider = getProvider(body.provider);
+        if (body.provider !== LOCAL_PROVIDER && !provider) {
+            return { error: `Unknown provider "${body.provider}"` };
+        }
+        if (provider && !isProviderConfigured(body.provider)) {
+            return { error: `Provider "${body.provider}" is not configured on this server` };
+        }
+        options.provider = body.provider;
+    }
+
+    if (body.model !== undefined) {
+        if (typeof body.model !== 'string' || !body.model.trim()) {
+            return { error: 'model must be a non-empty string' };
+        }
+        options.model = body.model.trim();
+    }
+
+    if (body.promptVersion !== undefined) {
+        // Versions are the directories of backend/prompts
+        const promptVersions = listPromptVersions();
+        if (!promptVersions.includes(body.promptVersion)) {
+            return { error: `Unknown prompt version "${body.promptVersion}". Expected one of: ${promptVersions.join(', ')}` };
+        }
+        options.promptVersion = body.promptVersion;
+    }
+
+    if (body.taxonomy !== undefined) {
+        if (!TAXONOMIES.includes(body.taxonomy)) {
+            return { error: `Unknown taxonomy "${body.taxonomy}". Expected one of: ${TAXONOMIES.join(', ')}` };
+        }
+        options.taxonomy = body.taxonomy;
+    }
+
+    if (body.extractionMode !== undefined) {
+        if (!EXTRACTION_MODES.includes(body.extractionMode)) {
+            return { error: `Unknown extraction mode "${body.extractionMode}". Expected one of: ${EXTRACTION_MODES.join(', ')}` };
+        }
+        options.extractionMode = body.extractionMode;
+    }
+
+    // Skip the response cache and ask the provider again (the fresh answers
+    // replace the cached ones)
+    if (body.noCache !== undefined) {
+        if (typeof body.noCache !== 'boolean') {
+            return { error: 'noCache must be a boolean' };
+        }
+        options.noCache = body.noCache;
+    }
+
+    return { options };
+};
+
+// Options a run asks for, with defaults filled in: the configured provider
+// (or 'local' when there is none) and that provider's default model
+const resolveRunOptions = (options = {}) => {
+    const provider = options.provider || getDefaultProviderName() || LOCAL_PROVIDER;
+    const registered = getProvider(provider);
+    return {
+        provider,
+        model: options.model || (registered ? registered.defaultModel : null),
+        promptVersion: options.promptVersion || getDefaultPromptVersion(),
+        taxonomy: options.taxonomy || TAXONOMIES[0],
+        extractionMode: options.extractionMode ||
+            (EXTRACTION_MODES.includes(process.env.FINNI_EXTRACTION_MODE) ? process.env.FINNI_EXTRACTION_MODE : EXTRACTION_MODES[0]),
+        noCache: Boolean(options.noCache)
+    };
+};
+
+module.exports = {
+    LOCAL_PROVIDER,
+    RULE_BASED_MODEL,
+    RERUN_STAGES,
+    parseRunOptions,
+    resolveRunOptions
+};
@@ -0,0 +1,68 @@
+const jobQueue = require('../jobs/jobQueue');
+const localStorage = require('../../config/localStorage');
+const webhookDispatcher = require('./webhookDispatcher');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['report.completed', 'report.failed', 'report.stage_failed'];
+
+// Counts describing what a job produced so far
+const summarize = async (job) => {
+    const { finniResultId, finclResultId } = job.data;
+    const finniResult = finniResultId ? await localStorage.getResult(finniResultId) : null;
+    const finclResult = finclResultId ? await localStorage.getResult(finclResultId) : null;
+
+    const facts = finclResult ? finclResult.results.predictions : [];
+    const mappedFacts = facts.filter(fact => fact.xbrlTag).length;
+    return {
+        entities: finniResult ? finniResult.results.predictions.length : null,
+        facts: finclResult ? facts.length : null,
+        mappedFacts: finclResult ? mappedFacts : null,
+        unmappedFacts: finclResult ? facts.length - mappedFacts : null,
+        failedChunks: finniResult && finniResult.coverage ? finniResult.coverage.failedChunks.length : null
+    };
+};
+
+const notifyReport = async (job, event, details = {}) => {
+    try {
+        const report = await localStorage.getReport(job.reportId);
+        if (!report || !report.userId) return;
+
+        await webhookDispatcher.notify(report.userId, event, {
+            reportId: job.reportId,
+            jobId: job.id,
+            fileName: report.fileName,
+            status: job.status,
+            ...details,
+            resultIds: {
+                finni: job.data.finniResultId || null,
+                fincl: job.data.finclResultId || null
+            },
+            summary: await summarize(job)
+        });
+    } catch (error) {
+        console.error(`Error queueing ${event} webhooks for report ${job.reportId}:`, error);
+    }
+};
+
+const stageError = (job, stage) => {
+    const { message, code, attempt, nextRetryAt } = job.stages[stage].error || {};
+    return { message, code, attempt, willRetry: Boolean(nextRetryAt), nextRetryAt: nextRetryAt || null };
+};
+
+jobQueue.on('job:completed', job => {
+    notifyReport(job, 'report.completed');
+});
+
+jobQueue.on('stage:retry', (job, { stage }) => {
+    notifyReport(job, 'report.stage_failed', { stage, error: stageError(job, stage) });
+});
+
+jobQueue.on('job:failed', async (job, { stage }) => {
+    const details = { stage, error: stageError(job, stage) };
+    await notifyReport(job, 'report.stage_failed', details);
+    await notifyReport(job, 'report.failed', details);
+});
+
+module.exports = {
+    WEBHOOK_EVENTS
+};
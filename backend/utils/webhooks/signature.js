@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Webhook payloads are signed with HMAC-SHA256 over "<timestamp>.<body>"
+// using the webhook's secret. Receivers recompute the signature from the
+// X-Webhook-Timestamp header and the raw request body and compare it to
+// X-Webhook-Signature ("sha256=<hex digest>").
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) =>
+    SIGNATURE_PREFIX + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Constant-time check of a received signature. `toleranceSeconds` rejects
+// replays of old deliveries (0 disables the check).
+const verifySignature = (secret, timestamp, body, signature, { toleranceSeconds = 300 } = {}) => {
+    if (!signature || !timestamp) return false;
+    if (toleranceSeconds > 0 && Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+    generateSecret,
+    signPayload,
+    verifySignature
+};
@@ -0,0 +1,195 @@
+const fetch = require('node-fetch');
+const webhookStorage = require('../../config/webhookStorage');
+const { signPayload } = require('./signature');
+
+// Longest response body kept in the delivery log
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+/**
+ * Delivers webhook events with retries.
+ *
+ * Every event becomes one delivery per subscribed webhook, persisted before it
+ * is sent so pending deliveries survive a restart. A delivery succeeds on any
+ * 2xx response; otherwise it is retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached. Each attempt is recorded on the delivery.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.inFlight = new Set();
+        this.timer = null;
+        this.initialized = false;
+    }
+
+    get maxAttempts() {
+        return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+    }
+
+    get retryBaseMs() {
+        return parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+    }
+
+    get timeoutMs() {
+        return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    }
+
+    async init() {
+        if (this.initialized) return;
+        await webhookStorage.init();
+        this.initialized = true;
+
+        const pending = await webhookStorage.getPendingDeliveries();
+        if (pending.length > 0) console.log(`Resuming ${pending.length} pending webhook deliveries`);
+        this.pump();
+    }
+
+    // Queue `event` with `data` for every active webhook of `userId` that
+    // subscribes to it. Returns the created deliveries.
+    async notify(userId, event, data) {
+        if (!userId) return [];
+        await webhookStorage.init();
+
+        const webhooks = (await webhookStorage.getWebhooksByUserId(userId))
+            .filter(webhook => webhook.active && webhook.events.includes(event));
+
+        const deliveries = [];
+        for (const webhook of webhooks) {
+            deliveries.push(await this.createDelivery(webhook, event, data));
+        }
+        this.pump();
+        return deliveries;
+    }
+
+    // Queue a single event for one webhook, regardless of its subscriptions
+    async send(webhook, event, data) {
+        await webhookStorage.init();
+        const delivery = await this.createDelivery(webhook, event, data);
+        this.pump();
+        return delivery;
+    }
+
+    async createDelivery(webhook, event, data) {
+        const createdAt = new Date().toISOString();
+        return webhookStorage.createDelivery({
+            webhookId: webhook.id,
+            userId: webhook.userId,
+            url: webhook.url,
+            event,
+            reportId: data.reportId || null,
+            payload: { event, createdAt, data },
+            status: 'pending',
+            attemptCount: 0,
+            attempts: [],
+            nextAttemptAt: createdAt,
+            completedAt: null
+        });
+    }
+
+    // Send every due delivery, and wake up again when the next retry is due.
+    // Called without awaiting, so it never rejects: storage errors are logged.
+    async pump() {
+        if (!this.initialized) return;
+
+        try {
+            const now = Date.now();
+            const pending = await webhookStorage.getPendingDeliveries();
+            pending
+                .filter(delivery => !this.inFlight.has(delivery.id) && new Date(delivery.nextAttemptAt).getTime() <= now)
+                .forEach(delivery => {
+                    this.inFlight.add(delivery.id);
+                    this.attempt(delivery)
+                        .catch(error => {
+                            console.error(`Error processing webhook delivery ${delivery.id}:`, error);
+                            // Hold it back for a while instead of retrying at once
+                            return new Promise(resolve => setTimeout(resolve, this.retryBaseMs).unref());
+                        })
+                        .finally(() => {
+                            this.inFlight.delete(delivery.id);
+                            this.pump();
+                        });
+                });
+
+            const upcoming = pending
+                .filter(delivery => !this.inFlight.has(delivery.id))
+                .map(delivery => new Date(delivery.nextAttemptAt).getTime())
+                .filter(time => time > now);
+            if (this.timer) clearTimeout(this.timer);
+            this.timer = null;
+            if (upcoming.length > 0) {
+                this.timer = setTimeout(() => this.pump(), Math.min(...upcoming) - now);
+                this.timer.unref();
+            }
+        } catch (error) {
+            console.error('Error reading pending webhook deliveries:', error);
+        }
+    }
+
+    async attempt(delivery) {
+        const webhook = await webhookStorage.getWebhook(delivery.webhookId);
+        if (!webhook) {
+            await webhookStorage.updateDelivery(delivery.id, {
+                status: 'failed',
+                nextAttemptAt: null,
+                completedAt: new Date().toISOString(),
+                error: 'Webhook was deleted'
+            });
+            return;
+        }
+
+        const attemptNumber = delivery.attemptCount + 1;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const started = Date.now();
+        const record = { attempt: attemptNumber, at: new Date(started).toISOString() };
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Fintagging-Webhooks/1.0',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                timeout: this.timeoutMs,
+                redirect: 'manual'
+            });
+            const responseText = await response.text().catch(() => '');
+            record.statusCode = response.status;
+            record.response = responseText.slice(0, RESPONSE_SNIPPET_LENGTH);
+            if (!response.ok) record.error = `HTTP ${response.status}`;
+        } catch (error) {
+            record.error = error.message;
+        }
+        record.durationMs = Date.now() - started;
+
+        const attempts = [...delivery.attempts, record];
+        if (!record.error) {
+            await webhookStorage.updateDelivery(delivery.id, {
+                status: 'succeeded',
+                attemptCount: attemptNumber,
+                attempts,
+                nextAttemptAt: null,
+                completedAt: new Date().toISOString()
+            });
+            return;
+        }
+
+        console.error(`Webhook delivery ${delivery.id} to ${webhook.url} failed (attempt ${attemptNumber}):`, record.error);
+        const willRetry = attemptNumber < this.maxAttempts;
+        const delay = this.retryBaseMs * Math.pow(2, attemptNumber - 1);
+        await webhookStorage.updateDelivery(delivery.id, {
+            status: willRetry ? 'pending' : 'failed',
+            attemptCount: attemptNumber,
+            attempts,
+            nextAttemptAt: willRetry ? new Date(Date.now() + delay).toISOString() : null,
+            completedAt: willRetry ? null : new Date().toISOString()
+        });
+    }
+}
+
+const webhookDispatcher = new WebhookDispatcher();
+module.exports = webhookDispatcher;